@@ -7,8 +7,33 @@ class App {
     constructor() {
         this.particleSystem = null;
         this.gestureDetector = null;
+        this.inputSources = {}; // Created on demand, keyed by source name
+        this.activeSource = null;
+        this.gestureReplay = null;
+        this.lastRecording = null;
+        this.gestureClassifier = new GestureClassifier();
+        this.gestureBindings = new GestureBindings();
+        this.gestureBindings.load();
+        this.audioAnalyzer = new AudioAnalyzer();
+        this.clock = new Clock(); // Shared by the particles and replays
+        this.presetManager = new PresetManager();
+        this.calibrationManager = new CalibrationManager();
+        this.calibrationWizard = new CalibrationWizard();
+        this.calibrationName = null; // Profile the running wizard saves to
+        this.handLoss = new HandLossPolicy();
+        this.secondarySource = null; // Stands in for the camera while the hand is lost
+        this.idleDirector = new IdleDirector();
+        this.kiosk = new KioskMode();
+        this.cameraRecovering = false;
+        this.kioskHintTimer = null;
+        this.pendingState = null; // Pattern params and camera from a preset applied before start
+        this.urlStateTimer = null;
+        this.videoRecorder = null;
+        this.videoTimer = null;
+        this.offlineRenderer = null;
         this.isInitialized = false;
         this.gestureEnabled = true;
+        this.gestureCommandsEnabled = true;
         
         // DOM Elements
         this.elements = {
@@ -26,8 +51,16 @@ class App {
             fullscreenBtn: document.getElementById('fullscreen-btn'),
             screenshotBtn: document.getElementById('screenshot-btn'),
             resetBtn: document.getElementById('reset-btn'),
+            recordVideoBtn: document.getElementById('record-video-btn'),
+            recordTime: document.getElementById('record-time'),
+            recordCountdown: document.getElementById('record-countdown'),
             // Pattern buttons
-            patternBtns: document.querySelectorAll('.pattern-btn'),
+            patternGrid: document.getElementById('pattern-grid'),
+            patternParams: document.getElementById('pattern-params'),
+            morphDuration: document.getElementById('morph-duration'),
+            morphDurationValue: document.getElementById('morph-duration-value'),
+            morphEasing: document.getElementById('morph-easing'),
+            morphAssignment: document.getElementById('morph-assignment'),
             // Color pickers
             primaryColor: document.getElementById('primary-color'),
             secondaryColor: document.getElementById('secondary-color'),
@@ -39,18 +72,202 @@ class App {
             particleSizeValue: document.getElementById('particle-size-value'),
             animationSpeed: document.getElementById('animation-speed'),
             animationSpeedValue: document.getElementById('animation-speed-value'),
+            timeScale: document.getElementById('time-scale'),
+            timeScaleValue: document.getElementById('time-scale-value'),
+            pauseToggleBtn: document.getElementById('pause-toggle'),
+            stepFrameBtn: document.getElementById('step-frame'),
+            timeStatus: document.getElementById('time-status'),
             gestureSensitivity: document.getElementById('gesture-sensitivity'),
             gestureSensitivityValue: document.getElementById('gesture-sensitivity-value'),
+            gestureFilter: document.getElementById('gesture-filter'),
+            filterMinCutoff: document.getElementById('filter-min-cutoff'),
+            filterMinCutoffValue: document.getElementById('filter-min-cutoff-value'),
+            filterBeta: document.getElementById('filter-beta'),
+            filterBetaValue: document.getElementById('filter-beta-value'),
+            filterProcessNoise: document.getElementById('filter-process-noise'),
+            filterProcessNoiseValue: document.getElementById('filter-process-noise-value'),
+            filterMeasurementNoise: document.getElementById('filter-measurement-noise'),
+            filterMeasurementNoiseValue: document.getElementById('filter-measurement-noise-value'),
+            filterCutoff: document.getElementById('filter-cutoff'),
+            filterCutoffValue: document.getElementById('filter-cutoff-value'),
+            filterParams: document.querySelectorAll('[data-filter]'),
+            filterPlot: document.getElementById('filter-plot'),
+            // Calibration
+            calibrationProfile: document.getElementById('calibration-profile'),
+            calibrateBtn: document.getElementById('calibrate-btn'),
+            deleteCalibrationBtn: document.getElementById('delete-calibration'),
+            calibrationOverlay: document.getElementById('calibration-overlay'),
+            calibrationStepCount: document.getElementById('calibration-step-count'),
+            calibrationStep: document.getElementById('calibration-step'),
+            calibrationProgressBar: document.getElementById('calibration-progress-bar'),
+            calibrationCancelBtn: document.getElementById('calibration-cancel'),
             bloomStrength: document.getElementById('bloom-strength'),
             bloomStrengthValue: document.getElementById('bloom-strength-value'),
+            bloomThreshold: document.getElementById('bloom-threshold'),
+            bloomThresholdValue: document.getElementById('bloom-threshold-value'),
+            bloomRadius: document.getElementById('bloom-radius'),
+            bloomRadiusValue: document.getElementById('bloom-radius-value'),
+            trailLength: document.getElementById('trail-length'),
+            trailLengthValue: document.getElementById('trail-length-value'),
+            trailDecay: document.getElementById('trail-decay'),
+            trailDecayValue: document.getElementById('trail-decay-value'),
+            springStiffness: document.getElementById('spring-stiffness'),
+            springStiffnessValue: document.getElementById('spring-stiffness-value'),
+            damping: document.getElementById('damping'),
+            dampingValue: document.getElementById('damping-value'),
+            massVariation: document.getElementById('mass-variation'),
+            massVariationValue: document.getElementById('mass-variation-value'),
+            handForce: document.getElementById('hand-force'),
+            handForceValue: document.getElementById('hand-force-value'),
+            forceField: document.getElementById('force-field'),
+            autoOrbitSpeed: document.getElementById('auto-orbit-speed'),
+            autoOrbitSpeedValue: document.getElementById('auto-orbit-speed-value'),
+            audioReactivity: document.getElementById('audio-reactivity'),
+            audioReactivityValue: document.getElementById('audio-reactivity-value'),
+            audioSource: document.getElementById('audio-source'),
+            loadAudioBtn: document.getElementById('load-audio'),
+            loadAudioInput: document.getElementById('load-audio-input'),
+            audioMeters: {
+                bass: document.getElementById('audio-bass'),
+                mid: document.getElementById('audio-mid'),
+                treble: document.getElementById('audio-treble'),
+                beat: document.getElementById('audio-beat')
+            },
             // Toggles
             gestureEnabledToggle: document.getElementById('gesture-enabled'),
             showHandTracking: document.getElementById('show-hand-tracking'),
+            gestureCommandsToggle: document.getElementById('gesture-commands'),
+            multiHandMode: document.getElementById('multi-hand-mode'),
+            handLossMode: document.getElementById('hand-loss-mode'),
+            handLossReturn: document.getElementById('hand-loss-return'),
+            handLossReturnValue: document.getElementById('hand-loss-return-value'),
+            handLossGrace: document.getElementById('hand-loss-grace'),
+            handLossGraceValue: document.getElementById('hand-loss-grace-value'),
+            handLossParams: document.querySelectorAll('[data-loss-modes]'),
+            secondaryInput: document.getElementById('secondary-input'),
+            inputSource: document.getElementById('input-source'),
             bloomEnabled: document.getElementById('bloom-enabled'),
-            trailsEnabled: document.getElementById('trails-enabled')
+            trailsEnabled: document.getElementById('trails-enabled'),
+            autoOrbit: document.getElementById('auto-orbit'),
+            handCamera: document.getElementById('hand-camera'),
+            // Attract mode
+            idleEnabled: document.getElementById('idle-enabled'),
+            idleTimeout: document.getElementById('idle-timeout'),
+            idleTimeoutValue: document.getElementById('idle-timeout-value'),
+            idleCycle: document.getElementById('idle-cycle'),
+            idleCycleValue: document.getElementById('idle-cycle-value'),
+            idlePatterns: document.getElementById('idle-patterns'),
+            idleColors: document.getElementById('idle-colors'),
+            idlePrompt: document.getElementById('idle-prompt'),
+            // Kiosk
+            kioskEnabled: document.getElementById('kiosk-enabled'),
+            kioskReload: document.getElementById('kiosk-reload'),
+            kioskHint: document.getElementById('kiosk-hint'),
+            // Gesture bindings
+            bindingList: document.getElementById('binding-list'),
+            addBindingBtn: document.getElementById('add-binding'),
+            exportBindingsBtn: document.getElementById('export-bindings'),
+            importBindingsBtn: document.getElementById('import-bindings'),
+            importBindingsInput: document.getElementById('import-bindings-input'),
+            resetBindingsBtn: document.getElementById('reset-bindings'),
+            // Session recording
+            recordBtn: document.getElementById('record-session'),
+            saveRecordingBtn: document.getElementById('save-recording'),
+            loadRecordingBtn: document.getElementById('load-recording'),
+            loadRecordingInput: document.getElementById('load-recording-input'),
+            replayBtn: document.getElementById('replay-toggle'),
+            replaySeek: document.getElementById('replay-seek'),
+            replayTime: document.getElementById('replay-time'),
+            replayLoop: document.getElementById('replay-loop'),
+            // Video recording
+            videoResolution: document.getElementById('video-resolution'),
+            videoFrameRate: document.getElementById('video-frame-rate'),
+            videoBitrate: document.getElementById('video-bitrate'),
+            videoBitrateValue: document.getElementById('video-bitrate-value'),
+            videoCountdown: document.getElementById('video-countdown'),
+            videoOverlay: document.getElementById('video-overlay'),
+            // Offline render
+            renderResolution: document.getElementById('render-resolution'),
+            renderLength: document.getElementById('render-length'),
+            renderFrameRate: document.getElementById('render-frame-rate'),
+            renderOutput: document.getElementById('render-output'),
+            renderOfflineBtn: document.getElementById('render-offline'),
+            renderOverlay: document.getElementById('render-overlay'),
+            renderProgressText: document.getElementById('render-progress-text'),
+            renderProgressBar: document.getElementById('render-progress-bar'),
+            renderNotice: document.getElementById('render-notice'),
+            renderCancelBtn: document.getElementById('render-cancel'),
+            // Presets
+            presetSelect: document.getElementById('preset-select'),
+            savePresetBtn: document.getElementById('save-preset'),
+            deletePresetBtn: document.getElementById('delete-preset'),
+            exportPresetBtn: document.getElementById('export-preset'),
+            importPresetBtn: document.getElementById('import-preset'),
+            importPresetInput: document.getElementById('import-preset-input'),
+            copyLinkBtn: document.getElementById('copy-link')
+        };
+
+        // Panel controls saved in presets and the URL, applied through their own listeners
+        this.presetSettings = {
+            primaryColor: 'color',
+            secondaryColor: 'color',
+            particleCount: 'slider',
+            particleSize: 'slider',
+            animationSpeed: 'slider',
+            morphDuration: 'slider',
+            morphEasing: 'select',
+            morphAssignment: 'select',
+            springStiffness: 'slider',
+            damping: 'slider',
+            massVariation: 'slider',
+            handForce: 'slider',
+            forceField: 'select',
+            autoOrbit: 'toggle',
+            autoOrbitSpeed: 'slider',
+            handCamera: 'toggle',
+            idleEnabled: 'toggle',
+            idleTimeout: 'slider',
+            idleCycle: 'slider',
+            idlePatterns: 'toggle',
+            idleColors: 'toggle',
+            gestureSensitivity: 'slider',
+            gestureFilter: 'select',
+            filterMinCutoff: 'slider',
+            filterBeta: 'slider',
+            filterProcessNoise: 'slider',
+            filterMeasurementNoise: 'slider',
+            filterCutoff: 'slider',
+            multiHandMode: 'select',
+            handLossMode: 'select',
+            handLossReturn: 'slider',
+            handLossGrace: 'slider',
+            secondaryInput: 'select',
+            showHandTracking: 'toggle',
+            gestureCommandsToggle: 'toggle',
+            audioReactivity: 'slider',
+            bloomEnabled: 'toggle',
+            trailsEnabled: 'toggle',
+            bloomStrength: 'slider',
+            bloomThreshold: 'slider',
+            bloomRadius: 'slider',
+            trailLength: 'slider',
+            trailDecay: 'slider'
         };
         
+        this.bindingEditor = new BindingEditor(this.elements.bindingList, this.gestureBindings);
+        this.buildPatternButtons();
+        
         this.bindEvents();
+
+        // Reset returns to the page's own defaults, a link with a state hash opens that scene
+        this.defaultState = this.getDefaultState();
+        this.presetManager.load();
+        this.calibrationManager.load();
+        this.kiosk.load();
+        const linkedState = this.presetManager.decodeHash(window.location.hash);
+        if (linkedState) {
+            this.applyState(linkedState);
+        }
     }
 
     bindEvents() {
@@ -71,9 +288,70 @@ class App {
         // Reset
         this.elements.resetBtn.addEventListener('click', () => this.reset());
 
-        // Pattern buttons
-        this.elements.patternBtns.forEach(btn => {
-            btn.addEventListener('click', () => this.setPattern(btn.dataset.pattern, btn));
+        // Pause, single steps and slow motion
+        this.clock.onChange = (paused, scale) => this.updateClockStatus(paused, scale);
+        this.elements.timeScale.addEventListener('input', (e) => {
+            this.clock.setTimeScale(parseFloat(e.target.value));
+        });
+        this.elements.pauseToggleBtn.addEventListener('click', () => this.clock.togglePause());
+        this.elements.stepFrameBtn.addEventListener('click', () => this.clock.stepFrame());
+
+        // Video recording
+        this.elements.recordVideoBtn.addEventListener('click', () => this.toggleVideoRecording());
+        this.elements.videoBitrate.addEventListener('input', (e) => {
+            this.elements.videoBitrateValue.textContent = e.target.value;
+        });
+
+        // Offline render, writing into a folder needs the File System Access API
+        this.elements.renderOutput.querySelector('option[value="folder"]').disabled =
+            !OfflineRenderer.supportsFolderOutput();
+        this.elements.renderOfflineBtn.addEventListener('click', () => this.renderOffline());
+        this.elements.renderCancelBtn.addEventListener('click', () => this.offlineRenderer.cancel());
+
+        // Pattern buttons, plus any pattern registered after startup
+        window.addEventListener('patternregistered', (e) => this.addPatternButton(e.detail));
+
+        // Files dropped anywhere go to the first pattern that accepts them
+        document.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            document.body.classList.add('drop-target');
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) {
+                document.body.classList.remove('drop-target');
+            }
+        });
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            document.body.classList.remove('drop-target');
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            if (file.type.startsWith('audio/')) {
+                this.loadAudioFile(file);
+            } else {
+                this.dropPatternFile(file);
+            }
+        });
+
+        // Morph controls
+        this.elements.morphDuration.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.morphDurationValue.textContent = value.toFixed(1);
+            if (this.particleSystem) {
+                this.particleSystem.setMorphDuration(value);
+            }
+        });
+
+        this.elements.morphEasing.addEventListener('change', (e) => {
+            if (this.particleSystem) {
+                this.particleSystem.setMorphEasing(e.target.value);
+            }
+        });
+
+        this.elements.morphAssignment.addEventListener('change', (e) => {
+            if (this.particleSystem) {
+                this.particleSystem.setMorphAssignment(e.target.value);
+            }
         });
 
         // Color pickers
@@ -122,11 +400,36 @@ class App {
         this.elements.gestureSensitivity.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.elements.gestureSensitivityValue.textContent = value.toFixed(1);
+        });
+
+        // Smoothing filter select, only the chosen filter's sliders are shown
+        this.elements.gestureFilter.addEventListener('change', (e) => {
+            this.elements.filterParams.forEach(control => {
+                control.hidden = control.dataset.filter !== e.target.value;
+            });
             if (this.gestureDetector) {
-                this.gestureDetector.setSensitivity(value);
+                this.gestureDetector.setFilterType(e.target.value);
             }
         });
 
+        // Smoothing filter sliders
+        const filterSliders = {
+            filterMinCutoff: ['minCutoff', 1],
+            filterBeta: ['beta', 1],
+            filterProcessNoise: ['processNoise', 1],
+            filterMeasurementNoise: ['measurementNoise', 3],
+            filterCutoff: ['cutoff', 1]
+        };
+        for (const [name, [param, digits]] of Object.entries(filterSliders)) {
+            this.elements[name].addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.elements[name + 'Value'].textContent = value.toFixed(digits);
+                if (this.gestureDetector) {
+                    this.gestureDetector.setFilterParams({ [param]: value });
+                }
+            });
+        }
+
         // Bloom strength slider
         this.elements.bloomStrength.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
@@ -136,17 +439,267 @@ class App {
             }
         });
 
+        // Bloom threshold slider
+        this.elements.bloomThreshold.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.bloomThresholdValue.textContent = value.toFixed(2);
+            if (this.particleSystem) {
+                this.particleSystem.setBloomThreshold(value);
+            }
+        });
+
+        // Bloom radius slider
+        this.elements.bloomRadius.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.bloomRadiusValue.textContent = value.toFixed(2);
+            if (this.particleSystem) {
+                this.particleSystem.setBloomRadius(value);
+            }
+        });
+
+        // Trail length slider
+        this.elements.trailLength.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.trailLengthValue.textContent = value.toFixed(2);
+            if (this.particleSystem) {
+                this.particleSystem.setTrailLength(value);
+            }
+        });
+
+        // Trail decay slider
+        this.elements.trailDecay.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.trailDecayValue.textContent = value.toFixed(3);
+            if (this.particleSystem) {
+                this.particleSystem.setTrailDecay(value);
+            }
+        });
+
+        // Spring stiffness slider
+        this.elements.springStiffness.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.springStiffnessValue.textContent = value;
+            if (this.particleSystem) {
+                this.particleSystem.setSpringStiffness(value);
+            }
+        });
+
+        // Damping slider
+        this.elements.damping.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.dampingValue.textContent = value.toFixed(1);
+            if (this.particleSystem) {
+                this.particleSystem.setDamping(value);
+            }
+        });
+
+        // Mass variation slider
+        this.elements.massVariation.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.massVariationValue.textContent = value.toFixed(2);
+            if (this.particleSystem) {
+                this.particleSystem.setMassVariation(value);
+            }
+        });
+
+        // Hand force slider
+        this.elements.handForce.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.handForceValue.textContent = value;
+            if (this.particleSystem) {
+                this.particleSystem.setHandStrength(value);
+            }
+        });
+
+        // Force field select
+        this.elements.forceField.addEventListener('change', (e) => {
+            this.setForceField(e.target.value);
+        });
+
+        // Camera
+        this.elements.autoOrbit.addEventListener('change', (e) => {
+            if (this.particleSystem) {
+                this.particleSystem.cameraControls.autoOrbit = e.target.checked;
+            }
+        });
+        this.elements.autoOrbitSpeed.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.autoOrbitSpeedValue.textContent = value.toFixed(2);
+            if (this.particleSystem) {
+                this.particleSystem.cameraControls.autoOrbitSpeed = value;
+            }
+        });
+        this.elements.handCamera.addEventListener('change', (e) => {
+            if (this.particleSystem) {
+                this.particleSystem.cameraControls.setHandControl(e.target.checked);
+            }
+        });
+
+        // Audio
+        this.elements.audioSource.addEventListener('change', (e) => this.setAudioSource(e.target.value));
+        this.elements.loadAudioBtn.addEventListener('click', () => this.elements.loadAudioInput.click());
+        this.elements.loadAudioInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadAudioFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.elements.audioReactivity.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.audioReactivityValue.textContent = value.toFixed(1);
+            if (this.particleSystem) {
+                this.particleSystem.setAudioReactivity(value);
+            }
+        });
+        this.audioAnalyzer.onUpdate = (levels) => this.updateAudioMeters(levels);
+        this.audioAnalyzer.onEnd = (error) => {
+            alert(error.message);
+            this.setAudioSource('off');
+        };
+
+        // Presets and shareable links
+        this.presetManager.onChange = (names) => this.renderPresetOptions(names);
+        this.elements.presetSelect.addEventListener('change', (e) => {
+            const state = this.presetManager.get(e.target.value);
+            if (state) {
+                this.applyState(state);
+            }
+        });
+        this.elements.savePresetBtn.addEventListener('click', () => {
+            const name = (prompt('Preset name', this.elements.presetSelect.value) || '').trim();
+            if (name) {
+                this.presetManager.savePreset(name, this.getState());
+                this.elements.presetSelect.value = name;
+            }
+        });
+        this.elements.deletePresetBtn.addEventListener('click', () => {
+            const name = this.elements.presetSelect.value;
+            if (name && confirm(`Delete preset "${name}"?`)) {
+                this.presetManager.deletePreset(name);
+            }
+        });
+        this.elements.exportPresetBtn.addEventListener('click', () => {
+            this.presetManager.exportPreset(this.elements.presetSelect.value || 'scene', this.getState());
+        });
+        this.elements.importPresetBtn.addEventListener('click', () => this.elements.importPresetInput.click());
+        this.elements.importPresetInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.presetManager.importPreset(e.target.files[0], (name, state) => {
+                    this.applyState(state);
+                    this.elements.presetSelect.value = name;
+                });
+            }
+            e.target.value = '';
+        });
+        this.elements.copyLinkBtn.addEventListener('click', () => this.copyStateLink());
+        ['input', 'change', 'click'].forEach(type => {
+            this.elements.controlPanel.addEventListener(type, () => this.scheduleUrlState());
+        });
+        window.addEventListener('hashchange', () => {
+            const state = this.presetManager.decodeHash(window.location.hash);
+            if (state) {
+                this.applyState(state);
+            }
+        });
+
+        // Attract mode
+        this.elements.idleEnabled.addEventListener('change', (e) => {
+            this.idleDirector.setEnabled(e.target.checked);
+        });
+        this.elements.idleTimeout.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            this.elements.idleTimeoutValue.textContent = value;
+            this.idleDirector.setIdleTimeout(value);
+        });
+        this.elements.idleCycle.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            this.elements.idleCycleValue.textContent = value;
+            this.idleDirector.setCycleInterval(value);
+        });
+        this.idleDirector.canStart = () => this.gestureEnabled && !this.isReplaying() && !this.isCalibrating();
+        this.idleDirector.onStart = () => this.elements.idlePrompt.classList.remove('hidden');
+        this.idleDirector.onStop = () => {
+            this.elements.idlePrompt.classList.add('hidden');
+            if (this.particleSystem) {
+                this.particleSystem.releaseHands();
+            }
+        };
+        // An offline render's scene follows its timeline alone
+        this.idleDirector.onCycle = () => {
+            if (this.isRenderingOffline()) return;
+            if (this.elements.idlePatterns.checked) {
+                this.cycleIdlePattern();
+            }
+            if (this.elements.idleColors.checked) {
+                this.cycleColorPreset(1);
+            }
+        };
+        this.idleDirector.onInfluence = (openness, position) => {
+            if (this.particleSystem && !this.isRenderingOffline()) {
+                const sensitivity = parseFloat(this.elements.gestureSensitivity.value);
+                this.particleSystem.updateGestureInfluence(openness, position, sensitivity);
+            }
+        };
+
+        // Kiosk
+        this.kiosk.onChange = (enabled, isUnlocked) => this.updateKioskState(enabled, isUnlocked);
+        this.elements.kioskEnabled.addEventListener('change', (e) => {
+            this.kiosk.setEnabled(e.target.checked);
+            if (e.target.checked) {
+                this.showKioskHint();
+            }
+        });
+        this.elements.kioskReload.addEventListener('change', (e) => {
+            this.kiosk.setReloadInterval(parseFloat(e.target.value));
+        });
+        this.kiosk.onCheck = () => this.checkCamera();
+        this.kiosk.canReload = () => !this.idleDirector.handPresent && !this.isRenderingOffline() &&
+            !this.isCalibrating() && !(this.videoRecorder && (this.videoRecorder.isRecording || this.videoRecorder.isCountingDown));
+        this.kiosk.onBeforeReload = () => this.updateUrlState();
+
+        // Calibration profiles and wizard
+        this.calibrationManager.onChange = (names, activeName) => {
+            this.renderCalibrationOptions(names, activeName);
+            if (this.gestureDetector && !this.isCalibrating()) {
+                this.gestureDetector.setCalibration(this.calibrationManager.getActive());
+            }
+        };
+        this.elements.calibrationProfile.addEventListener('change', (e) => {
+            this.calibrationManager.setActive(e.target.value);
+        });
+        this.elements.calibrateBtn.addEventListener('click', () => this.startCalibration());
+        this.elements.deleteCalibrationBtn.addEventListener('click', () => {
+            const name = this.elements.calibrationProfile.value;
+            if (name && confirm(`Delete calibration "${name}"?`)) {
+                this.calibrationManager.deleteProfile(name);
+            }
+        });
+        this.elements.calibrationCancelBtn.addEventListener('click', () => this.stopCalibration());
+        this.calibrationWizard.onStep = (step, index, progress, handVisible) => {
+            this.updateCalibrationStep(step, index, progress, handVisible);
+        };
+        this.calibrationWizard.onComplete = (calibration) => {
+            const name = this.calibrationName;
+            this.stopCalibration();
+            this.calibrationManager.saveProfile(name, calibration);
+        };
+        this.calibrationWizard.onError = (message) => {
+            this.stopCalibration();
+            alert(message);
+        };
+
         // Gesture enabled toggle
         this.elements.gestureEnabledToggle.addEventListener('change', (e) => {
             this.gestureEnabled = e.target.checked;
-            if (this.gestureDetector) {
-                if (this.gestureEnabled) {
-                    this.gestureDetector.resume();
+            if (this.activeSource) {
+                if (this.gestureEnabled && !this.isReplaying()) {
+                    this.activeSource.resume();
                 } else {
-                    this.gestureDetector.pause();
+                    this.activeSource.pause();
                 }
             }
-            this.elements.cameraPreview.classList.toggle('hidden', !this.gestureEnabled);
+            this.updateSecondaryInput();
+            this.updateCameraPreview();
         });
 
         // Show hand tracking toggle
@@ -156,6 +709,56 @@ class App {
             }
         });
 
+        // Hand-loss policy, only the chosen mode's settings are shown
+        this.elements.handLossMode.addEventListener('change', (e) => {
+            this.elements.handLossParams.forEach(control => {
+                control.hidden = !control.dataset.lossModes.split(' ').includes(e.target.value);
+            });
+            this.handLoss.setMode(e.target.value);
+            this.updateSecondaryInput();
+        });
+        this.elements.handLossReturn.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.handLossReturnValue.textContent = value.toFixed(1);
+            this.handLoss.setReturnTime(value);
+        });
+        this.elements.handLossGrace.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            this.elements.handLossGraceValue.textContent = value;
+            if (this.gestureDetector) {
+                this.gestureDetector.setGracePeriod(value);
+            }
+        });
+        this.elements.secondaryInput.addEventListener('change', () => {
+            // A running stand-in is swapped for the new choice
+            this.stopSecondaryInput();
+            this.updateSecondaryInput();
+        });
+
+        // Filter plot toggle
+        this.elements.filterPlot.addEventListener('change', (e) => {
+            if (this.gestureDetector) {
+                this.gestureDetector.setShowFilterPlot(e.target.checked);
+            }
+        });
+
+        // Gesture commands toggle
+        this.elements.gestureCommandsToggle.addEventListener('change', (e) => {
+            this.gestureCommandsEnabled = e.target.checked;
+        });
+
+        // Input source select
+        this.elements.inputSource.addEventListener('change', (e) => {
+            this.setInputSource(e.target.value);
+        });
+
+        // Two-hand mode select
+        this.elements.multiHandMode.addEventListener('change', (e) => {
+            if (this.particleSystem) {
+                this.particleSystem.setMultiHandMode(e.target.value);
+            }
+        });
+
         // Bloom enabled toggle
         this.elements.bloomEnabled.addEventListener('change', (e) => {
             if (this.particleSystem) {
@@ -170,14 +773,89 @@ class App {
             }
         });
 
+        // Gesture binding editor
+        this.elements.addBindingBtn.addEventListener('click', () => {
+            this.gestureBindings.addBinding({ signal: 'openness', target: 'particleSize' });
+        });
+        this.elements.exportBindingsBtn.addEventListener('click', () => this.bindingEditor.exportBindings());
+        this.elements.importBindingsBtn.addEventListener('click', () => this.elements.importBindingsInput.click());
+        this.elements.importBindingsInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.bindingEditor.importBindings(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.elements.resetBindingsBtn.addEventListener('click', () => {
+            this.gestureBindings.setBindings(this.gestureBindings.getDefaultBindings());
+        });
+
+        // Session recording and replay
+        this.elements.recordBtn.addEventListener('click', () => this.toggleRecording());
+        this.elements.saveRecordingBtn.addEventListener('click', () => this.saveRecording());
+        this.elements.loadRecordingBtn.addEventListener('click', () => this.elements.loadRecordingInput.click());
+        this.elements.loadRecordingInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadRecording(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.elements.replayBtn.addEventListener('click', () => this.toggleReplay());
+        this.elements.replaySeek.addEventListener('input', (e) => {
+            if (this.gestureReplay) {
+                this.gestureReplay.seek(parseFloat(e.target.value));
+            }
+        });
+        this.elements.replayLoop.addEventListener('change', (e) => {
+            if (this.gestureReplay) {
+                this.gestureReplay.setLoop(e.target.checked);
+            }
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // A locked kiosk only answers to the admin combo
+            if (KioskMode.isAdminCombo(e)) {
+                e.preventDefault();
+                this.kiosk.toggleUnlocked();
+                if (this.kiosk.isLocked()) {
+                    this.showKioskHint();
+                }
+                return;
+            }
+            if (this.kiosk.isLocked()) return;
+
+            // Typing into a text field isn't a shortcut
+            if (e.target.matches && e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+
+            // Only Escape works during an offline render, to cancel it
+            if (this.isRenderingOffline()) {
+                if (e.key === 'Escape') {
+                    this.offlineRenderer.cancel();
+                }
+                return;
+            }
+
+            if (e.key === 'Escape' && this.isCalibrating()) {
+                this.stopCalibration();
+                return;
+            }
+
             if (e.key === 'f' || e.key === 'F') {
                 this.toggleFullscreen();
             } else if (e.key === 'r' || e.key === 'R') {
                 this.reset();
             } else if (e.key === 's' || e.key === 'S') {
                 this.takeScreenshot();
+            } else if (e.key === 'v' || e.key === 'V') {
+                this.toggleVideoRecording();
+            } else if (e.key === 'p' || e.key === 'P') {
+                this.clock.togglePause();
+            } else if (e.key === '.') {
+                this.clock.stepFrame();
+            } else if (e.key === '-') {
+                this.stepTimeScale(-1);
+            } else if (e.key === '=' || e.key === '+') {
+                this.stepTimeScale(1);
             } else if (e.key === 'h' || e.key === 'H') {
                 this.elements.controlPanel.classList.toggle('collapsed');
             }
@@ -190,123 +868,1189 @@ class App {
 
         try {
             // Initialize particle system
-            this.particleSystem = new ParticleSystem(this.elements.canvasContainer);
+            this.createParticleSystem();
             
             // Initialize gesture detector
             this.gestureDetector = new GestureDetector(
                 this.elements.cameraFeed,
                 this.elements.handCanvas
             );
+            this.applyGestureSettings();
 
             // Set up gesture callbacks
-            this.gestureDetector.onGestureUpdate = (gesture) => {
-                this.onGestureUpdate(gesture);
-            };
-
-            this.gestureDetector.onHandDetected = () => {
-                this.elements.cameraPreview.classList.add('glow');
-            };
+            this.attachInputSource(this.gestureDetector);
+            this.inputSources.camera = this.gestureDetector;
 
-            this.gestureDetector.onHandLost = () => {
-                this.elements.cameraPreview.classList.remove('glow');
-            };
+            // Recorded sessions play back through the same detector
+            this.gestureReplay = new GestureReplay(this.gestureDetector);
+            this.gestureReplay.setLoop(this.elements.replayLoop.checked);
+            this.gestureReplay.setClock(this.clock);
+            this.gestureReplay.onProgress = (time, duration) => this.updateReplayProgress(time, duration);
+            this.gestureReplay.onEnd = () => this.onReplayStopped();
 
             // Initialize camera and gesture detection
             await this.gestureDetector.init();
 
             this.isInitialized = true;
+            this.activeSource = this.gestureDetector;
             this.elements.loadingOverlay.classList.add('hidden');
             
             console.log('Gesture Particle System initialized successfully!');
         } catch (error) {
             console.error('Initialization error:', error);
-            this.elements.loadingOverlay.querySelector('.loader-text').textContent = 
-                'Error: Camera access denied or not available';
             
             // Still show particle system even without camera
             if (!this.particleSystem) {
-                this.particleSystem = new ParticleSystem(this.elements.canvasContainer);
+                this.createParticleSystem();
             }
+
+            // Fall back to pointer control so the particles stay interactive
+            const fallback = 'ontouchstart' in window ? 'touch' : 'mouse';
+            this.elements.loadingOverlay.querySelector('.loader-text').textContent =
+                `Camera not available, using ${fallback} control`;
+            await this.setInputSource(fallback);
             
             setTimeout(() => {
                 this.elements.loadingOverlay.classList.add('hidden');
-                this.elements.cameraPreview.classList.add('hidden');
             }, 2000);
         }
     }
 
-    onGestureUpdate(gesture) {
-        if (!this.isInitialized || !this.gestureEnabled) return;
+    // The detector is created after the panel state is applied, so it picks its settings up here
+    applyGestureSettings() {
+        const detector = this.gestureDetector;
+        detector.setShowTracking(this.elements.showHandTracking.checked);
+        detector.setShowFilterPlot(this.elements.filterPlot.checked);
+        detector.setCalibration(this.calibrationManager.getActive());
+        detector.setGracePeriod(parseInt(this.elements.handLossGrace.value, 10));
+        detector.setFilterType(this.elements.gestureFilter.value);
+        detector.setFilterParams({
+            minCutoff: parseFloat(this.elements.filterMinCutoff.value),
+            beta: parseFloat(this.elements.filterBeta.value),
+            processNoise: parseFloat(this.elements.filterProcessNoise.value),
+            measurementNoise: parseFloat(this.elements.filterMeasurementNoise.value),
+            cutoff: parseFloat(this.elements.filterCutoff.value)
+        });
+    }
+
+    createParticleSystem() {
+        this.particleSystem = new ParticleSystem(this.elements.canvasContainer);
+        this.particleSystem.setAudioAnalyzer(this.audioAnalyzer);
+        this.particleSystem.setClock(this.clock);
 
-        // Update gesture status display
-        const description = this.gestureDetector.getGestureDescription();
-        this.elements.gestureIcon.textContent = description.icon;
-        this.elements.gestureText.textContent = description.text;
+        this.videoRecorder = new VideoRecorder(this.particleSystem.renderer.domElement);
+        this.videoRecorder.onCountdown = (remaining) => this.updateRecordCountdown(remaining);
+        this.videoRecorder.onStart = () => this.updateVideoRecordingState();
+        this.videoRecorder.onStop = (blob) => this.saveVideo(blob);
 
-        // Update particle system
-        if (this.particleSystem) {
-            const sensitivity = parseFloat(this.elements.gestureSensitivity.value);
-            this.particleSystem.updateGestureInfluence(
-                gesture.openness,
-                gesture.position,
-                sensitivity
-            );
+        this.offlineRenderer = new OfflineRenderer(this.particleSystem);
+        this.offlineRenderer.onProgress = (done, count) => this.updateRenderProgress(done, count);
+        this.offlineRenderer.onNotice = (message) => {
+            this.elements.renderNotice.textContent = message;
+            this.elements.renderNotice.classList.remove('hidden');
+        };
+
+        // GPU simulation raises the particle count limit
+        const maxCount = this.particleSystem.maxParticleCount;
+        this.elements.particleCount.max = maxCount;
+        this.elements.particleCount.step = maxCount > 20000 ? 1000 : 500;
+
+        // Bring the new system in line with the panel, or with a preset or link applied before start
+        const state = this.getState();
+        if (this.pendingState) {
+            Object.assign(state.settings, this.pendingState.settings);
+            state.patternParams = this.pendingState.patternParams || {};
+            state.camera = this.pendingState.camera || null;
         }
+        this.pendingState = null;
+        this.applyState(state, true);
+        this.updateCameraPointer();
+
+        // Idle time counts from here, and the kiosk watchdog starts watching
+        this.idleDirector.start();
+        this.kiosk.watchContext(this.particleSystem.renderer.domElement);
+        this.kiosk.startWatchdog();
     }
 
-    setPattern(pattern, btn) {
-        // Update active button
-        this.elements.patternBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+    attachInputSource(source) {
+        source.onGestureUpdate = (gesture) => {
+            this.onGestureUpdate(gesture, source);
+        };
 
-        // Update particle system
-        if (this.particleSystem) {
-            this.particleSystem.setPattern(pattern);
+        source.onHandDetected = () => {
+            this.elements.cameraPreview.classList.add('glow');
+            this.idleDirector.setHandPresent(true);
+            if (source === this.gestureDetector) {
+                this.stopSecondaryInput();
+            }
+        };
+
+        source.onHandLost = () => {
+            this.elements.cameraPreview.classList.remove('glow');
+            // Any hand counts as someone there, but only the driving source's loss starts the idle time
+            if (source === this.getDrivingSource()) {
+                this.idleDirector.setHandPresent(false);
+            }
+            if (source === this.gestureDetector) {
+                this.updateSecondaryInput();
+            }
+        };
+    }
+
+    // With the 'secondary' hand-loss mode, another input drives the particles while the camera sees no hand
+    updateSecondaryInput() {
+        const standIn = this.handLoss.mode === 'secondary' && this.gestureEnabled &&
+            this.activeSource === this.gestureDetector && !this.gestureDetector.wasHandDetected &&
+            !this.isReplaying();
+
+        if (standIn && !this.secondarySource) {
+            this.startSecondaryInput(this.elements.secondaryInput.value);
+        } else if (!standIn) {
+            this.stopSecondaryInput();
         }
     }
 
-    updateColors() {
+    async startSecondaryInput(name) {
+        let source = this.inputSources[name];
+        if (!source) {
+            source = this.createInputSource(name);
+            this.attachInputSource(source);
+            this.inputSources[name] = source;
+        }
+        this.secondarySource = source;
+        this.updateCameraPointer();
+
+        // The lost hand's force ends here rather than waiting for the new input's first event
         if (this.particleSystem) {
-            this.particleSystem.setColors(
-                this.elements.primaryColor.value,
-                this.elements.secondaryColor.value
-            );
+            this.particleSystem.releaseHands();
+        }
+
+        try {
+            await source.init();
+        } catch (error) {
+            console.error(`Input source "${name}" error:`, error);
+            if (this.secondarySource === source) {
+                this.secondarySource = null;
+                this.updateCameraPointer();
+            }
+            return;
+        }
+
+        // The hand may have come back while the source started
+        if (this.secondarySource !== source) {
+            source.stop();
         }
     }
 
-    toggleFullscreen() {
-        if (!document.fullscreenElement) {
-            document.documentElement.requestFullscreen().catch(err => {
-                console.error('Fullscreen error:', err);
-            });
-        } else {
-            document.exitFullscreen();
+    stopSecondaryInput() {
+        if (!this.secondarySource) return;
+
+        this.secondarySource.stop();
+        this.secondarySource = null;
+        this.updateCameraPointer();
+    }
+
+    createInputSource(name) {
+        switch (name) {
+            case 'camera':
+                return this.gestureDetector;
+            case 'mouse':
+                return new MouseInputSource(this.elements.canvasContainer);
+            case 'touch':
+                return new TouchInputSource(this.elements.canvasContainer);
+            case 'keyboard':
+                return new KeyboardInputSource();
+            case 'gamepad':
+                return new GamepadInputSource();
+            default:
+                return null;
         }
     }
 
-    takeScreenshot() {
-        if (this.particleSystem) {
-            // Need to render one frame to ensure canvas has content
-            this.particleSystem.renderer.render(
-                this.particleSystem.scene, 
-                this.particleSystem.camera
-            );
-            
-            // Get the canvas data with proper settings
-            const canvas = this.particleSystem.renderer.domElement;
-            
-            // Create a temporary canvas to add background
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = canvas.width;
-            tempCanvas.height = canvas.height;
-            const tempCtx = tempCanvas.getContext('2d');
-            
-            // Fill with dark background
-            tempCtx.fillStyle = '#0a0a0f';
-            tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
-            
-            // Draw the WebGL canvas on top
-            tempCtx.drawImage(canvas, 0, 0);
+    async setInputSource(name) {
+        const previous = this.activeSource;
+        if (previous && previous.name === name) return;
+
+        try {
+            let source = this.inputSources[name];
+            if (!source) {
+                source = this.createInputSource(name);
+                this.attachInputSource(source);
+                this.inputSources[name] = source;
+            }
+
+            // Only one source drives the particles at a time
+            if (previous) {
+                if (previous === this.gestureDetector) {
+                    previous.pause();
+                } else {
+                    previous.stop();
+                }
+            }
+
+            if (source === this.gestureDetector && this.isInitialized) {
+                source.resume();
+            } else {
+                await source.init();
+                if (source === this.gestureDetector) {
+                    this.isInitialized = true;
+                }
+            }
+            if (!this.gestureEnabled) {
+                source.pause();
+            }
+
+            this.activeSource = source;
+        } catch (error) {
+            console.error(`Input source "${name}" error:`, error);
+
+            // Restore the source that was active before
+            if (previous === this.gestureDetector) {
+                previous.resume();
+            } else if (previous) {
+                try {
+                    await previous.init();
+                } catch (restoreError) {
+                    console.error(`Input source "${previous.name}" error:`, restoreError);
+                    this.activeSource = null;
+                }
+            }
+        }
+
+        this.elements.inputSource.value = this.activeSource ? this.activeSource.name : 'camera';
+        this.handLoss.reset();
+        this.updateSecondaryInput();
+        this.updateCameraPointer();
+        this.elements.cameraPreview.classList.remove('glow');
+        this.updateCameraPreview();
+    }
+
+    getState() {
+        const settings = {};
+        for (const name of Object.keys(this.presetSettings)) {
+            const element = this.elements[name];
+            switch (this.presetSettings[name]) {
+                case 'toggle':
+                    settings[name] = element.checked;
+                    break;
+                case 'slider':
+                    settings[name] = parseFloat(element.value);
+                    break;
+                default:
+                    settings[name] = element.value;
+            }
+        }
+
+        // Only values that differ from the schema defaults; loaded images and models stay local
+        const patternParams = {};
+        const overrides = this.particleSystem
+            ? this.particleSystem.patternParams
+            : (this.pendingState && this.pendingState.patternParams) || {};
+        for (const name of Object.keys(overrides)) {
+            const pattern = ParticleSystem.patterns[name];
+            if (!pattern) continue;
+            const values = {};
+            for (const key of Object.keys(overrides[name])) {
+                const info = pattern.params[key];
+                if (info && info.type !== 'file' && overrides[name][key] !== info.default) {
+                    values[key] = overrides[name][key];
+                }
+            }
+            if (Object.keys(values).length > 0) {
+                patternParams[name] = values;
+            }
+        }
+
+        let camera = this.pendingState ? this.pendingState.camera : null;
+        if (this.particleSystem) {
+            // Rounded to keep shared links short
+            const round = (value) => Math.round(value * 1000) / 1000;
+            camera = this.particleSystem.cameraControls.getState();
+            camera.target = camera.target.map(round);
+            camera.radius = round(camera.radius);
+            camera.theta = round(camera.theta);
+            camera.phi = round(camera.phi);
+        }
+
+        const active = this.getPatternButtons().find(btn => btn.classList.contains('active'));
+        return {
+            version: 1,
+            pattern: active ? active.dataset.pattern : 'sphere',
+            patternParams: patternParams,
+            settings: settings,
+            camera: camera
+        };
+    }
+
+    // The state the page starts with, read from the markup so restored form values don't leak in
+    getDefaultState() {
+        const settings = {};
+        for (const name of Object.keys(this.presetSettings)) {
+            const element = this.elements[name];
+            switch (this.presetSettings[name]) {
+                case 'toggle':
+                    settings[name] = element.defaultChecked;
+                    break;
+                case 'select': {
+                    const option = Array.from(element.options).find(o => o.defaultSelected) || element.options[0];
+                    settings[name] = option.value;
+                    break;
+                }
+                case 'slider':
+                    settings[name] = parseFloat(element.defaultValue);
+                    break;
+                default:
+                    settings[name] = element.defaultValue;
+            }
+        }
+        return { version: 1, pattern: 'sphere', patternParams: {}, settings: settings, camera: null };
+    }
+
+    // force re-sends every setting, for a particle system that hasn't seen the panel yet
+    applyState(state, force = false) {
+        const settings = state.settings || {};
+        const patternParams = state.patternParams || {};
+
+        // Camera first, so the orbit toggles below have the last word
+        if (this.particleSystem) {
+            if (state.camera) {
+                this.particleSystem.cameraControls.setState(state.camera);
+            } else {
+                this.particleSystem.cameraControls.reset();
+            }
+        }
+
+        for (const name of Object.keys(this.presetSettings)) {
+            if (!(name in settings)) continue;
+            const element = this.elements[name];
+            const value = settings[name];
+
+            if (this.presetSettings[name] === 'toggle') {
+                if (force || element.checked !== !!value) {
+                    this.setToggle(name, !!value);
+                }
+                continue;
+            }
+
+            if (this.presetSettings[name] === 'select' && !Array.from(element.options).some(o => o.value === value)) {
+                continue;
+            }
+
+            // Range inputs clamp and snap the value themselves
+            const previous = element.value;
+            element.value = value;
+            if (force || element.value !== previous) {
+                const type = this.presetSettings[name] === 'select' ? 'change' : 'input';
+                element.dispatchEvent(new Event(type));
+                if (this.presetSettings[name] === 'slider') {
+                    element.dispatchEvent(new Event('change'));
+                }
+            }
+        }
+
+        const pattern = ParticleSystem.patterns[state.pattern] ? state.pattern : 'sphere';
+        if (!this.particleSystem) {
+            this.pendingState = state;
+            this.getPatternButtons().forEach(btn => btn.classList.toggle('active', btn.dataset.pattern === pattern));
+            this.renderPatternParams();
+            return;
+        }
+
+        // Every pattern's parameters: preset values over schema defaults, loaded files kept
+        for (const entry of ParticleSystem.getPatterns()) {
+            const values = patternParams[entry.name] || {};
+            const params = {};
+            for (const key of Object.keys(entry.params)) {
+                if (entry.params[key].type === 'file') continue;
+                params[key] = key in values ? values[key] : entry.params[key].default;
+            }
+            if (Object.keys(params).length > 0) {
+                this.particleSystem.setPatternParams(entry.name, params);
+            }
+        }
+
+        if (force || pattern !== this.particleSystem.currentPattern) {
+            this.setPattern(pattern, this.getPatternButton(pattern));
+        } else {
+            this.renderPatternParams();
+        }
+    }
+
+    renderPresetOptions(names) {
+        const select = this.elements.presetSelect;
+        const current = select.value;
+        select.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = names.length > 0 ? 'Choose a preset…' : 'No saved presets';
+        select.appendChild(placeholder);
+
+        for (const name of names) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+        select.value = names.includes(current) ? current : '';
+    }
+
+    scheduleUrlState() {
+        // Debounced, sliders fire on every step
+        clearTimeout(this.urlStateTimer);
+        this.urlStateTimer = setTimeout(() => this.updateUrlState(), 500);
+    }
+
+    updateUrlState() {
+        clearTimeout(this.urlStateTimer);
+        // replaceState doesn't fire hashchange, so this doesn't re-apply the state
+        history.replaceState(null, '', '#' + this.presetManager.encodeHash(this.getState()));
+    }
+
+    copyStateLink() {
+        this.updateUrlState();
+        const button = this.elements.copyLinkBtn;
+        navigator.clipboard.writeText(window.location.href)
+            .then(() => {
+                button.textContent = 'Copied!';
+                setTimeout(() => {
+                    button.textContent = 'Copy Link';
+                }, 1500);
+            })
+            .catch(() => prompt('Copy this link', window.location.href));
+    }
+
+    updateCameraPointer() {
+        // Mouse and touch sources own the pointer: the mouse orbits with Shift held, touch can't orbit
+        if (!this.particleSystem) return;
+        const source = this.secondarySource || this.activeSource;
+        const name = source ? source.name : null;
+        this.particleSystem.cameraControls.requireModifier = name === 'mouse';
+        this.particleSystem.cameraControls.touchEnabled = name !== 'touch';
+    }
+
+    updateCameraPreview() {
+        // The preview shows the camera or a replayed session, other sources have nothing to show
+        const showPreview = this.gestureEnabled &&
+            (this.activeSource === this.gestureDetector || this.isReplaying());
+        this.elements.cameraPreview.classList.toggle('hidden', !showPreview);
+        if (this.videoRecorder) {
+            this.videoRecorder.setOverlaySources(this.getVideoOverlaySources());
+        }
+    }
+
+    isReplaying() {
+        // An offline render steps the replay itself, live sources stay out of its frames
+        return !!(this.gestureReplay && this.gestureReplay.isPlaying) || this.isRenderingOffline();
+    }
+
+    // A replayed session drives the detector and takes over from the live source,
+    // a secondary input takes over while the camera has lost the hand
+    getDrivingSource() {
+        return this.isReplaying() ? this.gestureDetector : this.secondarySource || this.activeSource;
+    }
+
+    isRenderingOffline() {
+        return !!(this.offlineRenderer && this.offlineRenderer.isRendering);
+    }
+
+    onGestureUpdate(gesture, source) {
+        if (!this.particleSystem || !this.gestureEnabled) return;
+
+        if (source !== this.getDrivingSource()) return;
+
+        // Attract mode moves the particles until a hand arrives
+        if (this.idleDirector.isActive) return;
+
+        if (this.isCalibrating() && source === this.gestureDetector) {
+            this.calibrationWizard.addSample(gesture);
+        }
+
+        // Recognise named poses and motions
+        const recognised = this.gestureClassifier.update(gesture.hands, gesture.timestamp);
+
+        // Update gesture status display, a recognised pose wins over the openness bucket
+        const primaryHand = InputSource.getPrimaryHand(gesture);
+        const primary = primaryHand && recognised[primaryHand.handedness];
+        const description = (primary && primary.pose && this.gestureClassifier.getDescription(primary.pose.name))
+            || source.getGestureDescription();
+        this.elements.gestureIcon.textContent = description.icon;
+        this.elements.gestureText.textContent = description.text;
+
+        // Update particle system through the influence bindings
+        if (this.particleSystem) {
+            const sensitivity = parseFloat(this.elements.gestureSensitivity.value);
+            // The camera follows the first hand with landmarks (sources without landmarks leave it alone)
+            const cameraHand = gesture.hands.find(hand => hand.landmarks);
+            if (cameraHand) {
+                this.particleSystem.cameraControls.setHandPose(cameraHand.landmarks);
+            } else {
+                this.particleSystem.cameraControls.releaseHand();
+            }
+
+            // Once the camera loses the hand, the hand-loss policy says what the force follows
+            const driving = source === this.gestureDetector ? this.handLoss.apply(gesture) : gesture;
+
+            if (!driving.isDetected) {
+                // No hand in view, so no hand force
+                this.particleSystem.releaseHands();
+            } else if (driving.hands.length > 1) {
+                const hands = driving.hands.map(hand => ({
+                    ...hand,
+                    ...this.gestureBindings.mapInfluence(hand, recognised)
+                }));
+                this.particleSystem.updateHandInfluences(hands, sensitivity);
+            } else {
+                const influence = this.gestureBindings.mapInfluence(InputSource.getPrimaryHand(driving) || driving, recognised);
+                this.particleSystem.updateGestureInfluence(
+                    influence.openness,
+                    influence.position,
+                    sensitivity
+                );
+            }
+        }
+
+        // Parameter and action bindings
+        const outputs = this.gestureBindings.evaluate(gesture, recognised);
+        for (const target of Object.keys(outputs.params)) {
+            this.setSliderValue(target, outputs.params[target]);
+        }
+        // Calibration poses shouldn't switch patterns or colors
+        if (this.gestureCommandsEnabled && !this.isCalibrating()) {
+            outputs.actions.forEach(action => this.runBindingAction(action.target, action.arg));
+        }
+    }
+
+    isCalibrating() {
+        return this.calibrationWizard.isRunning;
+    }
+
+    startCalibration() {
+        if (this.isCalibrating()) return;
+
+        const tracking = this.gestureDetector && this.gestureEnabled &&
+            (this.activeSource === this.gestureDetector || this.isReplaying());
+        if (!tracking) {
+            alert('Calibration needs hand tracking: choose Camera as the input and enable gestures');
+            return;
+        }
+
+        const name = (prompt('Your name, to save the calibration under', this.elements.calibrationProfile.value) || '').trim();
+        if (!name) return;
+
+        // The wizard measures the untouched range
+        this.calibrationName = name;
+        this.gestureDetector.setCalibration(null);
+        this.elements.calibrationOverlay.classList.remove('hidden');
+        this.calibrationWizard.start();
+    }
+
+    // Closes the wizard, completed or not, and goes back to the active profile
+    stopCalibration() {
+        this.calibrationWizard.cancel();
+        this.calibrationName = null;
+        this.elements.calibrationOverlay.classList.add('hidden');
+        if (this.gestureDetector) {
+            this.gestureDetector.setCalibration(this.calibrationManager.getActive());
+        }
+    }
+
+    updateCalibrationStep(step, index, progress, handVisible) {
+        const steps = this.calibrationWizard.steps;
+        this.elements.calibrationStepCount.textContent = `Step ${index + 1} of ${steps.length}`;
+        this.elements.calibrationStep.textContent = handVisible ? step.text : 'Show your hand to the camera';
+        this.elements.calibrationStep.classList.toggle('waiting', !handVisible);
+        this.elements.calibrationProgressBar.style.width = `${Math.round(progress * 100)}%`;
+    }
+
+    renderCalibrationOptions(names, activeName) {
+        const select = this.elements.calibrationProfile;
+        select.innerHTML = '';
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None (uncalibrated)';
+        select.appendChild(none);
+
+        for (const name of names) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+        select.value = activeName;
+    }
+
+    toggleRecording() {
+        if (!this.gestureDetector) return;
+
+        if (this.gestureDetector.isRecording()) {
+            this.lastRecording = this.gestureDetector.stopRecording();
+            this.elements.recordBtn.textContent = '● Record';
+            this.elements.recordBtn.classList.remove('recording');
+            this.elements.saveRecordingBtn.disabled = this.lastRecording.frames.length === 0;
+        } else {
+            this.gestureDetector.startRecording();
+            this.elements.recordBtn.textContent = '■ Stop';
+            this.elements.recordBtn.classList.add('recording');
+        }
+    }
+
+    saveRecording() {
+        if (!this.lastRecording) return;
+
+        const json = JSON.stringify(this.lastRecording);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gesture-session-${Date.now()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    loadRecording(file) {
+        if (!this.gestureReplay) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.setReplaySession(JSON.parse(reader.result));
+                this.startReplay();
+            } catch (err) {
+                console.error('Recording load error:', err);
+                alert('Could not load recording: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    setReplaySession(session) {
+        this.gestureReplay.load(session);
+        this.elements.replaySeek.max = this.gestureReplay.getDuration();
+        this.elements.replaySeek.disabled = false;
+        this.elements.replayBtn.disabled = false;
+        this.gestureDetector.updateCanvasSize();
+    }
+
+    toggleReplay() {
+        if (!this.gestureReplay || !this.gestureReplay.session) return;
+
+        if (this.gestureReplay.isPlaying) {
+            this.gestureReplay.pause();
+            this.onReplayStopped();
+        } else {
+            this.startReplay();
+        }
+    }
+
+    startReplay() {
+        // Camera frames would fight the replay for control
+        this.gestureDetector.pause();
+        this.gestureClassifier.reset();
+        this.handLoss.reset();
+        this.gestureReplay.play();
+        this.elements.replayBtn.textContent = '❚❚ Pause';
+        this.updateSecondaryInput();
+        this.updateCameraPreview();
+    }
+
+    onReplayStopped() {
+        this.elements.replayBtn.textContent = '▶ Play';
+        this.gestureClassifier.reset();
+
+        // Hand control back to the live camera
+        if (this.activeSource === this.gestureDetector && this.gestureEnabled) {
+            this.gestureDetector.resume();
+        }
+        this.handLoss.reset();
+        this.updateSecondaryInput();
+        this.updateCameraPreview();
+    }
+
+    updateReplayProgress(time, duration) {
+        const format = (ms) => (ms / 1000).toFixed(1) + 's';
+        this.elements.replaySeek.value = time;
+        this.elements.replayTime.textContent = `${format(time)} / ${format(duration)}`;
+    }
+
+    setForceField(type) {
+        // The panel offers one field at a time, centred on the pattern
+        this.particleSystem.clearForceFields();
+        if (type !== 'none') {
+            this.particleSystem.addForceField(new ForceField(type));
+        }
+    }
+
+    setSliderValue(name, value) {
+        // Goes through the slider so its label and listeners stay in sync
+        const slider = this.elements[name];
+        const step = parseFloat(slider.step) || 0;
+        const min = parseFloat(slider.min);
+        const max = parseFloat(slider.max);
+        let next = Math.max(min, Math.min(max, value));
+        if (step > 0) {
+            next = min + Math.round((next - min) / step) * step;
+        }
+
+        if (Math.abs(parseFloat(slider.value) - next) > 1e-6) {
+            slider.value = next;
+            slider.dispatchEvent(new Event('input'));
+        }
+    }
+
+    setToggle(name, checked) {
+        const toggle = this.elements[name];
+        toggle.checked = checked;
+        toggle.dispatchEvent(new Event('change'));
+    }
+
+    runBindingAction(target, arg) {
+        switch (target) {
+            case 'setPattern':
+                if (arg === 'next' || arg === 'previous') {
+                    this.cyclePattern(arg === 'next' ? 1 : -1);
+                } else {
+                    const btn = this.getPatternButton(arg);
+                    if (btn) {
+                        this.setPattern(arg, btn);
+                    }
+                }
+                break;
+
+            case 'setColors':
+                if (arg === 'next' || arg === 'previous') {
+                    this.cycleColorPreset(arg === 'next' ? 1 : -1);
+                } else {
+                    // "#primary,#secondary" or a preset name
+                    const preset = Array.from(this.elements.colorPresets).find(p => p.title === arg);
+                    const [primary, secondary] = preset
+                        ? [preset.dataset.primary, preset.dataset.secondary]
+                        : arg.split(',').map(color => color.trim());
+                    if (primary && secondary) {
+                        this.elements.primaryColor.value = primary;
+                        this.elements.secondaryColor.value = secondary;
+                        this.updateColors();
+                    }
+                }
+                break;
+
+            case 'setAnimationSpeed': {
+                // A binding without a usable speed does nothing
+                const speed = parseFloat(arg);
+                if (Number.isFinite(speed)) {
+                    this.setSliderValue('animationSpeed', speed);
+                }
+                break;
+            }
+
+            case 'takeScreenshot':
+                this.takeScreenshot();
+                break;
+
+            case 'toggleTrails':
+                this.setToggle('trailsEnabled', !this.elements.trailsEnabled.checked);
+                break;
+
+            case 'toggleBloom':
+                this.setToggle('bloomEnabled', !this.elements.bloomEnabled.checked);
+                break;
+
+            case 'togglePause':
+                this.clock.togglePause();
+                break;
+        }
+    }
+
+    buildPatternButtons() {
+        this.elements.patternGrid.innerHTML = '';
+        ParticleSystem.getPatterns().forEach(pattern => this.addPatternButton(pattern));
+    }
+
+    addPatternButton(pattern) {
+        // Re-registering a name replaces its button in place
+        const existing = this.getPatternButton(pattern.name);
+
+        const btn = document.createElement('button');
+        btn.className = 'pattern-btn';
+        btn.dataset.pattern = pattern.name;
+        btn.title = pattern.label;
+
+        const preview = document.createElement('div');
+        preview.className = 'pattern-preview';
+        if (pattern.preview) {
+            preview.classList.add(pattern.preview);
+        } else {
+            preview.classList.add('icon-preview');
+            preview.textContent = pattern.icon || pattern.label.charAt(0).toUpperCase();
+        }
+        btn.appendChild(preview);
+
+        const label = document.createElement('span');
+        label.textContent = pattern.label;
+        btn.appendChild(label);
+
+        btn.addEventListener('click', () => this.setPattern(pattern.name, btn));
+
+        const currentPattern = this.particleSystem ? this.particleSystem.currentPattern : 'sphere';
+        if (pattern.name === currentPattern) {
+            btn.classList.add('active');
+        }
+
+        if (existing) {
+            this.elements.patternGrid.replaceChild(btn, existing);
+        } else {
+            this.elements.patternGrid.appendChild(btn);
+        }
+
+        if (btn.classList.contains('active')) {
+            this.renderPatternParams();
+        }
+    }
+
+    renderPatternParams() {
+        const container = this.elements.patternParams;
+        container.innerHTML = '';
+
+        const active = this.getPatternButtons().find(btn => btn.classList.contains('active'));
+        const pattern = active && ParticleSystem.patterns[active.dataset.pattern];
+        if (!pattern || !this.particleSystem) return;
+
+        const values = this.particleSystem.getPatternParams(pattern.name);
+        const update = (key, value) => {
+            if (pattern.params[key].type === 'file') {
+                this.loadPatternFile(pattern.name, key, value);
+            } else {
+                this.particleSystem.setPatternParams(pattern.name, { [key]: value });
+            }
+        };
+        for (const key of Object.keys(pattern.params)) {
+            container.appendChild(this.createPatternParamControl(key, pattern.params[key], values[key], update));
+        }
+    }
+
+    createPatternParamControl(key, info, value, update) {
+        const id = `pattern-param-${key}`;
+        const control = document.createElement('div');
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = info.label || key;
+
+        if (info.type === 'string' || info.type === 'select') {
+            control.className = 'select-control';
+            let input;
+            if (info.type === 'select') {
+                input = document.createElement('select');
+                for (const option of info.options) {
+                    const element = document.createElement('option');
+                    element.value = typeof option === 'object' ? option.value : option;
+                    element.textContent = typeof option === 'object' ? option.label : option;
+                    input.appendChild(element);
+                }
+                input.addEventListener('change', (e) => update(key, e.target.value));
+            } else {
+                input = document.createElement('input');
+                input.type = 'text';
+                input.addEventListener('input', (e) => update(key, e.target.value));
+            }
+            input.id = id;
+            input.value = value;
+            control.appendChild(label);
+            control.appendChild(input);
+            return control;
+        }
+
+        if (info.type === 'boolean') {
+            control.className = 'toggle-control';
+            const toggle = document.createElement('label');
+            toggle.className = 'toggle-switch';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = id;
+            input.checked = !!value;
+            input.addEventListener('change', (e) => update(key, e.target.checked));
+            const slider = document.createElement('span');
+            slider.className = 'toggle-slider';
+            toggle.appendChild(input);
+            toggle.appendChild(slider);
+            control.appendChild(label);
+            control.appendChild(toggle);
+            return control;
+        }
+
+        if (info.type === 'file') {
+            control.className = 'select-control';
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.id = id;
+            input.accept = info.accept || '';
+            input.hidden = true;
+            const button = document.createElement('button');
+            button.className = 'text-btn';
+            button.textContent = value ? 'Replace…' : 'Load…';
+            button.addEventListener('click', () => input.click());
+            input.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) {
+                    update(key, file);
+                }
+            });
+            control.appendChild(label);
+            control.appendChild(button);
+            control.appendChild(input);
+            return control;
+        }
+
+        // Numeric slider
+        const decimals = info.type === 'int' ? 0 : (String(info.step || 0.01).split('.')[1] || '').length;
+        control.className = 'slider-control';
+        label.textContent += ': ';
+        const valueText = document.createElement('span');
+        valueText.textContent = value.toFixed(decimals);
+        label.appendChild(valueText);
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = id;
+        input.min = info.min;
+        input.max = info.max;
+        input.step = info.step || (info.type === 'int' ? 1 : 0.01);
+        input.value = value;
+        input.addEventListener('input', (e) => {
+            const next = parseFloat(e.target.value);
+            valueText.textContent = next.toFixed(decimals);
+            update(key, next);
+        });
+
+        control.appendChild(label);
+        control.appendChild(input);
+        return control;
+    }
+
+    loadPatternFile(patternName, key, file) {
+        const info = ParticleSystem.patterns[patternName].params[key];
+        const previous = this.particleSystem.getPatternParams(patternName)[key];
+
+        const apply = (loaded) => {
+            try {
+                this.particleSystem.setPatternParams(patternName, { [key]: loaded });
+                if (this.particleSystem.currentPattern !== patternName) {
+                    this.setPattern(patternName, this.getPatternButton(patternName));
+                }
+            } catch (error) {
+                // Unparseable file: keep the previous one and the current pattern
+                this.particleSystem.setPatternParams(patternName, { [key]: previous });
+                this.getPatternButtons().forEach(btn => {
+                    btn.classList.toggle('active', btn.dataset.pattern === this.particleSystem.currentPattern);
+                });
+                alert(`Could not load ${file.name}: ${error.message}`);
+            }
+            this.renderPatternParams();
+        };
+
+        // Decoded locally, the file never leaves the browser
+        if (info.read === 'buffer') {
+            file.arrayBuffer().then(buffer => apply({ name: file.name, buffer: buffer }));
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            apply(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            alert('Could not load image: ' + file.name);
+        };
+        image.src = url;
+    }
+
+    dropPatternFile(file) {
+        if (!this.particleSystem) return;
+
+        // Match against each file param's accept list: extensions, exact or wildcard MIME types
+        const accepts = (accept) => (accept || '').split(',').some(entry => {
+            const type = entry.trim().toLowerCase();
+            if (type.startsWith('.')) return file.name.toLowerCase().endsWith(type);
+            if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+            return file.type === type;
+        });
+
+        for (const pattern of ParticleSystem.getPatterns()) {
+            const key = Object.keys(pattern.params).find(name =>
+                pattern.params[name].type === 'file' && accepts(pattern.params[name].accept)
+            );
+            if (key) {
+                this.loadPatternFile(pattern.name, key, file);
+                return;
+            }
+        }
+        alert('Unsupported file: ' + file.name);
+    }
+
+    async setAudioSource(name) {
+        try {
+            if (name === 'microphone') {
+                await this.audioAnalyzer.startMicrophone();
+            } else if (name === 'file') {
+                // Playback starts once a file is picked
+                this.elements.loadAudioInput.click();
+                name = this.audioAnalyzer.source || 'off';
+            } else {
+                this.audioAnalyzer.stop();
+            }
+        } catch (error) {
+            console.error(`Audio source "${name}" error:`, error);
+            this.audioAnalyzer.stop();
+            name = 'off';
+        }
+
+        this.elements.audioSource.value = name;
+        this.updateAudioMeters(this.audioAnalyzer.levels);
+    }
+
+    async loadAudioFile(file) {
+        try {
+            await this.audioAnalyzer.loadFile(file);
+            this.elements.audioSource.value = 'file';
+        } catch (error) {
+            console.error('Audio file error:', error);
+            alert('Could not play audio: ' + file.name);
+            this.audioAnalyzer.stop();
+            this.elements.audioSource.value = 'off';
+        }
+        this.updateAudioMeters(this.audioAnalyzer.levels);
+    }
+
+    updateAudioMeters(levels) {
+        for (const band of Object.keys(this.elements.audioMeters)) {
+            this.elements.audioMeters[band].style.width = `${Math.round(levels[band] * 100)}%`;
+        }
+    }
+
+    getPatternButtons() {
+        return Array.from(this.elements.patternGrid.querySelectorAll('.pattern-btn'));
+    }
+
+    getPatternButton(name) {
+        return this.getPatternButtons().find(btn => btn.dataset.pattern === name) || null;
+    }
+
+    cyclePattern(step) {
+        const buttons = this.getPatternButtons();
+        const current = buttons.findIndex(btn => btn.classList.contains('active'));
+        const next = buttons[(current + step + buttons.length) % buttons.length];
+        this.setPattern(next.dataset.pattern, next);
+    }
+
+    cycleColorPreset(step) {
+        const presets = Array.from(this.elements.colorPresets);
+        let current = presets.findIndex(preset =>
+            preset.dataset.primary === this.elements.primaryColor.value &&
+            preset.dataset.secondary === this.elements.secondaryColor.value
+        );
+        // Custom colors step to the first preset, or back to the last
+        if (current === -1 && step < 0) {
+            current = 0;
+        }
+        const next = presets[(current + step + presets.length) % presets.length];
+        this.elements.primaryColor.value = next.dataset.primary;
+        this.elements.secondaryColor.value = next.dataset.secondary;
+        this.updateColors();
+    }
+
+    // Attract mode skips patterns still waiting for a file
+    cycleIdlePattern() {
+        const names = ParticleSystem.getPatterns()
+            .filter(entry => Object.keys(entry.params).every(key =>
+                entry.params[key].type !== 'file' || this.particleSystem.getPatternParams(entry.name)[key]))
+            .map(entry => entry.name);
+        const current = names.indexOf(this.particleSystem.currentPattern);
+        const next = names[(current + 1) % names.length];
+        const btn = this.getPatternButton(next);
+        if (btn) {
+            this.setPattern(next, btn);
+        }
+    }
+
+    setPattern(pattern, btn) {
+        // Update active button
+        this.getPatternButtons().forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+
+        // Update particle system
+        if (this.particleSystem) {
+            this.particleSystem.setPattern(pattern);
+        }
+        this.renderPatternParams();
+    }
+
+    // Moves the time scale to the next stop up (1) or down (-1)
+    stepTimeScale(direction) {
+        const stops = [0.1, 0.25, 0.5, 1, 1.5, 2];
+        const current = this.clock.timeScale;
+        const next = direction > 0
+            ? stops.find(stop => stop > current + 1e-6)
+            : stops.slice().reverse().find(stop => stop < current - 1e-6);
+        if (next !== undefined) {
+            this.setSliderValue('timeScale', next);
+        }
+    }
+
+    updateClockStatus(paused, scale) {
+        this.elements.timeScaleValue.textContent = scale.toFixed(2);
+        this.elements.pauseToggleBtn.textContent = paused ? '▶ Resume' : '❚❚ Pause';
+        this.elements.stepFrameBtn.disabled = !paused;
+
+        // The top bar shows when time isn't running normally
+        this.elements.timeStatus.textContent = paused ? '❚❚ Paused' : `${scale.toFixed(2)}×`;
+        this.elements.timeStatus.classList.toggle('hidden', !paused && scale === 1);
+    }
+
+    updateColors() {
+        if (this.particleSystem) {
+            this.particleSystem.setColors(
+                this.elements.primaryColor.value,
+                this.elements.secondaryColor.value
+            );
+        }
+    }
+
+    toggleFullscreen() {
+        if (!document.fullscreenElement) {
+            document.documentElement.requestFullscreen().catch(err => {
+                console.error('Fullscreen error:', err);
+            });
+        } else {
+            document.exitFullscreen();
+        }
+    }
+
+    takeScreenshot() {
+        if (this.particleSystem && !this.isRenderingOffline()) {
+            // Need to render one frame to ensure canvas has content
+            this.particleSystem.render();
+            
+            // Get the canvas data with proper settings
+            const canvas = this.particleSystem.renderer.domElement;
+            
+            // Create a temporary canvas to add background
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = canvas.width;
+            tempCanvas.height = canvas.height;
+            const tempCtx = tempCanvas.getContext('2d');
+            
+            // Fill with dark background
+            tempCtx.fillStyle = '#0a0a0f';
+            tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
+            
+            // Draw the WebGL canvas on top
+            tempCtx.drawImage(canvas, 0, 0);
             
             // Convert to blob and download
             tempCanvas.toBlob((blob) => {
@@ -324,46 +2068,216 @@ class App {
         }
     }
 
+    toggleVideoRecording() {
+        if (!this.videoRecorder) return;
+
+        if (this.videoRecorder.isRecording || this.videoRecorder.isCountingDown) {
+            this.videoRecorder.stop();
+            this.updateVideoRecordingState();
+            return;
+        }
+        if (!VideoRecorder.isSupported()) {
+            alert('Video recording is not supported in this browser');
+            return;
+        }
+
+        this.videoRecorder.setOptions({
+            resolution: this.elements.videoResolution.value,
+            frameRate: parseInt(this.elements.videoFrameRate.value, 10),
+            bitrate: parseInt(this.elements.videoBitrate.value, 10),
+            countdown: parseInt(this.elements.videoCountdown.value, 10),
+            overlay: this.elements.videoOverlay.checked
+        });
+        this.videoRecorder.setOverlaySources(this.getVideoOverlaySources());
+        this.videoRecorder.start();
+        this.updateVideoRecordingState();
+    }
+
+    // The picture-in-picture shows what the on-screen preview shows
+    getVideoOverlaySources() {
+        if (this.elements.cameraPreview.classList.contains('hidden')) return [];
+        return [this.elements.cameraFeed, this.elements.handCanvas];
+    }
+
+    updateRecordCountdown(remaining) {
+        this.elements.recordCountdown.textContent = remaining;
+        this.elements.recordCountdown.classList.toggle('hidden', remaining === 0);
+    }
+
+    updateVideoRecordingState() {
+        const recorder = this.videoRecorder;
+        const active = recorder.isRecording || recorder.isCountingDown;
+        this.elements.recordVideoBtn.classList.toggle('recording', active);
+        this.elements.recordVideoBtn.title = active ? 'Stop Recording (V)' : 'Record Video (V)';
+        this.elements.recordTime.classList.toggle('hidden', !recorder.isRecording);
+
+        clearInterval(this.videoTimer);
+        this.videoTimer = null;
+        if (recorder.isRecording) {
+            const showElapsed = () => {
+                const seconds = Math.floor(recorder.getElapsed());
+                this.elements.recordTime.textContent =
+                    `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            };
+            showElapsed();
+            this.videoTimer = setInterval(showElapsed, 250);
+        }
+    }
+
+    async renderOffline() {
+        if (!this.offlineRenderer || this.offlineRenderer.isRendering) return;
+
+        const [width, height] = this.elements.renderResolution.value.split('x').map(Number);
+        const frameRate = parseInt(this.elements.renderFrameRate.value, 10);
+        const length = this.elements.renderLength.value;
+
+        // Sequences follow the loaded session, or the last one recorded
+        const session = this.gestureReplay && (this.gestureReplay.session || this.lastRecording);
+        let frameCount = 1;
+        if (length === 'recording') {
+            if (!session) {
+                alert('Record or load a gesture session first');
+                return;
+            }
+            frameCount = Math.max(1, Math.ceil(session.duration / 1000 * frameRate));
+        } else if (length !== 'still') {
+            frameCount = Math.round(parseFloat(length) * frameRate);
+        }
+
+        let timeline = null;
+        if (frameCount > 1) {
+            if (this.videoRecorder.isRecording || this.videoRecorder.isCountingDown) {
+                this.videoRecorder.stop();
+                this.updateVideoRecordingState();
+            }
+            if (session) {
+                if (session !== this.gestureReplay.session) {
+                    this.setReplaySession(session);
+                }
+                timeline = this.gestureReplay;
+            }
+
+            // The timeline alone moves the hands
+            this.idleDirector.exit();
+            if (this.gestureReplay) {
+                this.gestureReplay.pause();
+            }
+            if (this.gestureDetector) {
+                this.gestureDetector.pause();
+            }
+            this.gestureClassifier.reset();
+            this.particleSystem.releaseHands();
+            this.particleSystem.cameraControls.releaseHand();
+        }
+
+        this.updateRenderProgress(0, frameCount);
+        this.elements.renderNotice.classList.add('hidden');
+        this.elements.renderOverlay.classList.remove('hidden');
+        try {
+            await this.offlineRenderer.render({
+                width: width,
+                height: height,
+                frameRate: frameRate,
+                frameCount: frameCount,
+                format: this.elements.renderOutput.value,
+                timeline: timeline
+            });
+        } catch (error) {
+            // Closing the folder picker is not an error
+            if (error.name !== 'AbortError') {
+                console.error('Offline render error:', error);
+                alert('Render failed: ' + error.message);
+            }
+        }
+        this.elements.renderOverlay.classList.add('hidden');
+
+        if (frameCount > 1) {
+            this.onReplayStopped();
+        }
+    }
+
+    updateRenderProgress(done, count) {
+        this.elements.renderProgressText.textContent = count > 1
+            ? `Rendering frame ${Math.min(done + 1, count)} of ${count}…`
+            : 'Rendering…';
+        this.elements.renderProgressBar.style.width = `${Math.round(done / count * 100)}%`;
+    }
+
+    saveVideo(blob) {
+        if (blob.size === 0) return;
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gesture-particles-${Date.now()}.webm`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     reset() {
         if (this.particleSystem) {
             this.particleSystem.reset();
         }
-        
-        // Reset UI
-        this.elements.primaryColor.value = '#00d4ff';
-        this.elements.secondaryColor.value = '#ff00d4';
-        this.elements.particleCount.value = 5000;
-        this.elements.particleCountValue.textContent = '5000';
-        this.elements.particleSize.value = 2;
-        this.elements.particleSizeValue.textContent = '2';
-        this.elements.animationSpeed.value = 1;
-        this.elements.animationSpeedValue.textContent = '1.0';
-        this.elements.gestureSensitivity.value = 1;
-        this.elements.gestureSensitivityValue.textContent = '1.0';
-        this.elements.bloomStrength.value = 1.2;
-        this.elements.bloomStrengthValue.textContent = '1.2';
-        
-        // Reset pattern to sphere
-        this.elements.patternBtns.forEach(btn => btn.classList.remove('active'));
-        document.querySelector('[data-pattern="sphere"]').classList.add('active');
-        
-        if (this.particleSystem) {
-            this.particleSystem.setColors('#00d4ff', '#ff00d4');
-            this.particleSystem.setPattern('sphere');
-            this.particleSystem.setParticleCount(5000);
-            this.particleSystem.setParticleSize(2);
-            this.particleSystem.setAnimationSpeed(1);
-            this.particleSystem.setBloomStrength(1.2);
+        this.applyState(this.defaultState);
+        this.clock.setPaused(false);
+        this.setSliderValue('timeScale', 1);
+        this.scheduleUrlState();
+    }
+
+    updateKioskState(enabled, isUnlocked) {
+        document.body.classList.toggle('kiosk', enabled && !isUnlocked);
+        this.elements.kioskEnabled.checked = enabled;
+        this.elements.kioskReload.value = String(this.kiosk.reloadInterval);
+        if (!enabled || isUnlocked) {
+            this.elements.kioskHint.classList.add('hidden');
+        }
+    }
+
+    showKioskHint() {
+        clearTimeout(this.kioskHintTimer);
+        this.elements.kioskHint.classList.remove('hidden');
+        this.kioskHintTimer = setTimeout(() => this.elements.kioskHint.classList.add('hidden'), 4000);
+    }
+
+    // Kiosk watchdog: retries a camera that never started and restarts one that stopped delivering frames
+    async checkCamera() {
+        const detector = this.gestureDetector;
+        if (!detector || this.cameraRecovering || !this.gestureEnabled || this.isReplaying()) return;
+
+        this.cameraRecovering = true;
+        try {
+            if (!this.isInitialized) {
+                await this.setInputSource('camera');
+            } else if (this.activeSource === detector && detector.isRunning &&
+                performance.now() - detector.lastFrameTime > this.kiosk.cameraTimeout * 1000) {
+                console.warn('Camera stalled, restarting');
+                await detector.restartCamera();
+            }
+        } catch (error) {
+            console.error('Camera recovery error:', error);
+        } finally {
+            this.cameraRecovering = false;
         }
     }
 
     dispose() {
+        clearTimeout(this.urlStateTimer);
+        clearTimeout(this.kioskHintTimer);
+        this.idleDirector.stop();
+        this.kiosk.dispose();
+        clearInterval(this.videoTimer);
+        if (this.videoRecorder) {
+            this.videoRecorder.dispose();
+        }
+        if (this.gestureReplay) {
+            this.gestureReplay.dispose();
+        }
         if (this.particleSystem) {
             this.particleSystem.dispose();
         }
-        if (this.gestureDetector) {
-            this.gestureDetector.dispose();
-        }
+        Object.values(this.inputSources).forEach(source => source.dispose());
     }
 }
 
@@ -373,6 +2287,11 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Hide loading overlay initially (show instructions instead)
     document.getElementById('loading-overlay').classList.add('hidden');
+
+    // A kiosk starts without waiting for the click
+    if (window.app.kiosk.enabled) {
+        window.app.start();
+    }
 });
 
 // Cleanup on page unload
@@ -0,0 +1,191 @@
+/**
+ * Audio Analyzer Module
+ * Band energies and beat onsets from the microphone or an audio file (Web Audio AnalyserNode)
+ */
+
+class AudioAnalyzer {
+    constructor() {
+        this.context = null;
+        this.analyser = null;
+        this.frequencyData = null;
+        this.source = null; // 'microphone', 'file' or null
+        this.sourceNode = null;
+        this.stream = null;
+        this.audioElement = null;
+        this.objectUrl = null;
+
+        // Band edges in Hz
+        this.bands = {
+            bass: [20, 250],
+            mid: [250, 2000],
+            treble: [2000, 8000]
+        };
+
+        // Automatic gain: each band is divided by a slowly decaying peak
+        this.peaks = { bass: 0.05, mid: 0.05, treble: 0.05 };
+        this.peakDecay = 0.995;
+
+        // Beat onsets: bass flux (rise per second) against its recent average
+        this.fluxHistory = []; // { time, flux }
+        this.historyLength = 1; // Seconds of flux in the average
+        this.minFlux = 1.2; // Smaller rises are noise
+        this.beatThreshold = 1.5;
+        this.beatCooldown = 0.25; // Seconds between onsets
+        this.beatDecay = 6; // Per second, for the beat pulse
+        this.previousBass = 0;
+        this.lastBeat = -Infinity;
+
+        this.levels = { bass: 0, mid: 0, treble: 0, level: 0, beat: 0, isBeat: false };
+
+        // Callbacks
+        this.onUpdate = null;
+        this.onEnd = null;
+    }
+
+    ensureContext() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0.75;
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        }
+
+        // Browsers start the context suspended until a user gesture
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    async startMicrophone() {
+        this.stop();
+        this.ensureContext();
+
+        // Raw signal: voice processing would flatten the music
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+        this.sourceNode = this.context.createMediaStreamSource(this.stream);
+        this.sourceNode.connect(this.analyser);
+        this.source = 'microphone';
+    }
+
+    async loadFile(file) {
+        this.stop();
+        this.ensureContext();
+
+        // Played from a local object URL, the file never leaves the browser
+        this.objectUrl = URL.createObjectURL(file);
+        this.audioElement = new Audio(this.objectUrl);
+        this.audioElement.loop = true;
+        this.audioElement.addEventListener('error', () => {
+            if (this.onEnd) this.onEnd(new Error('Could not decode ' + file.name));
+        });
+
+        // The file is heard as well as analysed, the microphone is not
+        this.sourceNode = this.context.createMediaElementSource(this.audioElement);
+        this.sourceNode.connect(this.analyser);
+        this.analyser.connect(this.context.destination);
+        this.source = 'file';
+
+        await this.audioElement.play();
+    }
+
+    stop() {
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        if (this.analyser) {
+            this.analyser.disconnect();
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.audioElement) {
+            this.audioElement.pause();
+            this.audioElement = null;
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+
+        this.source = null;
+        this.fluxHistory = [];
+        this.previousBass = 0;
+        this.levels = { bass: 0, mid: 0, treble: 0, level: 0, beat: 0, isBeat: false };
+    }
+
+    isActive() {
+        return this.source !== null;
+    }
+
+    // Mean magnitude (0-1) of the bins between two frequencies
+    getBandEnergy(low, high) {
+        const binWidth = this.context.sampleRate / this.analyser.fftSize;
+        const start = Math.max(1, Math.floor(low / binWidth));
+        const end = Math.min(this.frequencyData.length - 1, Math.ceil(high / binWidth));
+
+        let sum = 0;
+        for (let i = start; i <= end; i++) {
+            sum += this.frequencyData[i];
+        }
+        return sum / ((end - start + 1) * 255);
+    }
+
+    // Reads the analyser once per frame, returns { bass, mid, treble, level, beat, isBeat }
+    update(delta) {
+        if (!this.isActive()) return this.levels;
+
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        const time = this.context.currentTime;
+
+        const levels = { isBeat: false };
+        for (const band of Object.keys(this.bands)) {
+            const energy = this.getBandEnergy(this.bands[band][0], this.bands[band][1]);
+            this.peaks[band] = Math.max(energy, this.peaks[band] * this.peakDecay, 0.05);
+            levels[band] = Math.min(energy / this.peaks[band], 1);
+        }
+        levels.level = (levels.bass + levels.mid + levels.treble) / 3;
+
+        // Onset when the rise in bass clearly exceeds its recent average. Flux is per second
+        // and the history is kept by time, so neither depends on the frame rate
+        if (delta > 0) {
+            const flux = Math.max(levels.bass - this.previousBass, 0) / delta;
+            while (this.fluxHistory.length > 0 && time - this.fluxHistory[0].time > this.historyLength) {
+                this.fluxHistory.shift();
+            }
+            const average = this.fluxHistory.length > 0
+                ? this.fluxHistory.reduce((sum, sample) => sum + sample.flux, 0) / this.fluxHistory.length
+                : 0;
+            this.fluxHistory.push({ time: time, flux: flux });
+
+            if (flux > this.minFlux && flux > average * this.beatThreshold && time - this.lastBeat > this.beatCooldown) {
+                this.lastBeat = time;
+                levels.isBeat = true;
+            }
+        }
+        this.previousBass = levels.bass;
+        levels.beat = levels.isBeat ? 1 : this.levels.beat * Math.exp(-this.beatDecay * delta);
+
+        this.levels = levels;
+        if (this.onUpdate) {
+            this.onUpdate(levels);
+        }
+        return levels;
+    }
+
+    dispose() {
+        this.stop();
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+        }
+    }
+}
+
+// Export for use in other modules
+window.AudioAnalyzer = AudioAnalyzer;
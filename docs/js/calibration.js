@@ -0,0 +1,212 @@
+/**
+ * Calibration Module
+ * Guided measurement of a user's openness range and reach, and named calibration profiles in localStorage
+ */
+
+class CalibrationWizard {
+    constructor() {
+        this.steps = [
+            { name: 'fist', text: 'Make a fist and hold it', duration: 2000 },
+            { name: 'open', text: 'Open your hand wide and hold it', duration: 2000 },
+            { name: 'sweep', text: 'Sweep your hand over all the area you can comfortably reach', duration: 6000 }
+        ];
+        this.settleTime = 600; // ms at the start of each step, while the hand changes pose, that aren't sampled
+        this.minRange = 0.15; // Smallest openness range or reach (normalized) accepted
+
+        this.isRunning = false;
+        this.stepIndex = 0;
+        this.stepTime = 0; // ms of the current step spent with a hand in view
+        this.lastTimestamp = null;
+        this.samples = [];
+        this.results = {};
+
+        // Callbacks
+        this.onStep = null; // (step, stepIndex, progress, handVisible)
+        this.onComplete = null; // (calibration)
+        this.onError = null; // (message)
+    }
+
+    static percentile(values, p) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    }
+
+    start() {
+        this.isRunning = true;
+        this.results = {};
+        this.beginStep(0);
+    }
+
+    cancel() {
+        this.isRunning = false;
+    }
+
+    beginStep(index) {
+        this.stepIndex = index;
+        this.stepTime = 0;
+        this.lastTimestamp = null;
+        this.samples = [];
+        this.report(true);
+    }
+
+    report(handVisible) {
+        if (this.onStep) {
+            const step = this.steps[this.stepIndex];
+            this.onStep(step, this.stepIndex, Math.min(1, this.stepTime / step.duration), handVisible);
+        }
+    }
+
+    // Takes one frame of uncalibrated tracking, a step's clock only runs while a hand is in view
+    addSample(gesture) {
+        if (!this.isRunning) return;
+
+        // The hand being calibrated is the detector's primary one, even with both in view
+        const hand = gesture.isDetected && InputSource.getPrimaryHand(gesture);
+        if (!hand) {
+            this.lastTimestamp = null;
+            this.report(false);
+            return;
+        }
+
+        // Capped, so a stalled camera doesn't skip a step
+        if (this.lastTimestamp !== null) {
+            this.stepTime += Math.min(Math.max(0, gesture.timestamp - this.lastTimestamp), 100);
+        }
+        this.lastTimestamp = gesture.timestamp;
+
+        // Unfiltered values, so smoothing lag doesn't narrow the range
+        const raw = hand.raw || hand;
+        if (this.stepTime >= this.settleTime) {
+            this.samples.push({ openness: raw.openness, x: raw.position.x, y: raw.position.y });
+        }
+
+        const step = this.steps[this.stepIndex];
+        this.report(true);
+        if (this.stepTime >= step.duration) {
+            this.finishStep(step);
+        }
+    }
+
+    finishStep(step) {
+        const openness = this.samples.map(sample => sample.openness);
+
+        if (step.name === 'fist') {
+            this.results.fist = CalibrationWizard.percentile(openness, 0.5);
+        } else if (step.name === 'open') {
+            this.results.open = CalibrationWizard.percentile(openness, 0.5);
+            if (this.results.open - this.results.fist < this.minRange) {
+                this.fail('Your fist and open hand looked too alike. Try again with your palm facing the camera.');
+                return;
+            }
+        } else if (step.name === 'sweep') {
+            // Percentiles rather than extremes, so a single tracking glitch doesn't stretch the area
+            const xs = this.samples.map(sample => sample.x);
+            const ys = this.samples.map(sample => sample.y);
+            const bounds = {
+                minX: CalibrationWizard.percentile(xs, 0.02),
+                maxX: CalibrationWizard.percentile(xs, 0.98),
+                minY: CalibrationWizard.percentile(ys, 0.02),
+                maxY: CalibrationWizard.percentile(ys, 0.98)
+            };
+            if (bounds.maxX - bounds.minX < this.minRange || bounds.maxY - bounds.minY < this.minRange) {
+                this.fail('Your hand covered too small an area. Try again and sweep further up, down and to the sides.');
+                return;
+            }
+            this.results.bounds = bounds;
+        }
+
+        if (this.stepIndex < this.steps.length - 1) {
+            this.beginStep(this.stepIndex + 1);
+            return;
+        }
+
+        this.isRunning = false;
+        if (this.onComplete) {
+            this.onComplete({
+                openness: { min: this.results.fist, max: this.results.open },
+                bounds: this.results.bounds,
+                createdAt: new Date().toISOString()
+            });
+        }
+    }
+
+    fail(message) {
+        this.isRunning = false;
+        if (this.onError) {
+            this.onError(message);
+        }
+    }
+}
+
+class CalibrationManager {
+    constructor() {
+        this.storageKey = 'gestureParticles.calibration';
+        this.profiles = {}; // Calibrations by user name
+        this.activeName = '';
+
+        // Callbacks
+        this.onChange = null; // (names, activeName)
+    }
+
+    getNames() {
+        return Object.keys(this.profiles).sort((a, b) => a.localeCompare(b));
+    }
+
+    getActive() {
+        return this.profiles[this.activeName] || null;
+    }
+
+    saveProfile(name, calibration) {
+        this.profiles[name] = calibration;
+        this.activeName = name;
+        this.save();
+        this.notify();
+    }
+
+    deleteProfile(name) {
+        delete this.profiles[name];
+        if (this.activeName === name) {
+            this.activeName = '';
+        }
+        this.save();
+        this.notify();
+    }
+
+    // An empty name turns calibration off
+    setActive(name) {
+        this.activeName = this.profiles[name] ? name : '';
+        this.save();
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.getNames(), this.activeName);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ active: this.activeName, profiles: this.profiles }));
+        } catch (err) {
+            console.error('Could not save calibration profiles:', err);
+        }
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.profiles = stored.profiles || {};
+                this.activeName = this.profiles[stored.active] ? stored.active : '';
+            }
+        } catch (err) {
+            console.error('Could not load calibration profiles:', err);
+        }
+        this.notify();
+    }
+}
+
+// Export for use in other modules
+window.CalibrationWizard = CalibrationWizard;
+window.CalibrationManager = CalibrationManager;
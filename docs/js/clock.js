@@ -0,0 +1,97 @@
+/**
+ * Clock Module
+ * Turns real frame time into fixed simulation steps, with pause, single-stepping and a time scale
+ */
+
+class Clock {
+    constructor() {
+        this.fixedStep = 1 / 60; // Seconds of simulation per step
+        this.maxDelta = 0.1; // Longer frames (hitches, background tabs) count as this long
+        this.maxSteps = 8; // Steps per frame before the rest of a backlog is dropped
+        this.timeScale = 1;
+        this.minTimeScale = 0.1;
+        this.maxTimeScale = 2;
+        this.isPaused = false;
+
+        this.accumulator = 0; // Scaled time not yet simulated, always under one step
+        this.lastTime = null;
+        this.pendingSteps = 0; // Single steps requested while paused
+        this.elapsed = 0; // Simulated seconds
+
+        // Callbacks
+        this.onChange = null; // (isPaused, timeScale)
+    }
+
+    // Reads the real time (ms) once per display frame, returns the frame to run
+    tick(now) {
+        const delta = this.lastTime === null ? 0 : Math.max(0, Math.min((now - this.lastTime) / 1000, this.maxDelta));
+        this.lastTime = now;
+        return this.advance(delta);
+    }
+
+    // Returns { delta, steps, step, alpha }: the real frame time, how many fixed steps to simulate,
+    // their length, and how far the frame lies between the last two steps (for interpolation)
+    advance(delta) {
+        let steps = 0;
+        if (this.isPaused) {
+            steps = this.pendingSteps;
+        } else {
+            this.accumulator += delta * this.timeScale;
+            steps = Math.floor(this.accumulator / this.fixedStep);
+            this.accumulator -= steps * this.fixedStep;
+            if (steps > this.maxSteps) {
+                steps = this.maxSteps;
+            }
+        }
+        this.pendingSteps = 0;
+        this.elapsed += steps * this.fixedStep;
+
+        return {
+            delta: delta,
+            steps: steps,
+            step: this.fixedStep,
+            alpha: this.accumulator / this.fixedStep
+        };
+    }
+
+    // Forget the last tick, so time spent away (or rendering offline) doesn't arrive as one frame
+    reset() {
+        this.lastTime = null;
+    }
+
+    // The rate simulated time runs at, 0 while paused
+    getScale() {
+        return this.isPaused ? 0 : this.timeScale;
+    }
+
+    setPaused(paused) {
+        this.isPaused = paused;
+        this.pendingSteps = 0;
+        this.notify();
+    }
+
+    togglePause() {
+        this.setPaused(!this.isPaused);
+    }
+
+    // Advances one step on the next frame, while paused
+    stepFrame() {
+        if (this.isPaused) {
+            this.pendingSteps++;
+        }
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(this.minTimeScale, Math.min(this.maxTimeScale, scale));
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.isPaused, this.timeScale);
+        }
+    }
+}
+
+// Export for use in other modules
+window.Clock = Clock;
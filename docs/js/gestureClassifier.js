@@ -0,0 +1,344 @@
+/**
+ * Gesture Classifier Module
+ * Named static poses and dynamic gestures recognised from hand landmarks
+ */
+
+class GestureClassifier {
+    constructor(options = {}) {
+        this.options = {
+            minConfidence: 0.6,
+            holdTime: 150, // ms a pose must persist before it starts
+            releaseTime: 120, // ms a pose may drop out before it ends
+            historyDuration: 1200, // ms of palm motion kept per hand
+            swipeDistance: 0.25, // Fraction of the frame
+            swipeTime: 400,
+            pushScale: 1.3, // Hand size ratio that counts as push/pull
+            motionCooldown: 400,
+            ...options
+        };
+
+        // Per-hand tracking state, keyed by handedness
+        this.handStates = {};
+
+        // Callbacks, each receives { name, type, handedness, confidence, timestamp, duration }
+        this.onGestureStart = null;
+        this.onGestureEnd = null;
+    }
+
+    update(hands, timestamp = performance.now()) {
+        const results = {};
+        const seenHands = {};
+
+        for (const hand of hands) {
+            if (!hand.landmarks) continue;
+            seenHands[hand.handedness] = true;
+
+            const state = this.getHandState(hand.handedness);
+            const pose = this.classifyPose(hand.landmarks);
+            this.updatePose(state, hand.handedness, pose, timestamp);
+
+            const motion = this.updateMotion(state, hand.handedness, hand.landmarks, timestamp);
+
+            results[hand.handedness] = {
+                pose: state.activePose ? { name: state.activePose, confidence: state.poseConfidence } : null,
+                motion: motion
+            };
+        }
+
+        // Hands that left the frame end whatever they were doing
+        for (const handedness of Object.keys(this.handStates)) {
+            if (!seenHands[handedness]) {
+                this.endHand(handedness, timestamp);
+            }
+        }
+
+        return results;
+    }
+
+    getHandState(handedness) {
+        if (!this.handStates[handedness]) {
+            this.handStates[handedness] = {
+                candidatePose: null,
+                candidateSince: 0,
+                activePose: null,
+                poseConfidence: 0,
+                poseStart: 0,
+                lastSeenPose: 0,
+                history: [],
+                lastMotion: null,
+                lastMotionTime: -Infinity
+            };
+        }
+        return this.handStates[handedness];
+    }
+
+    classifyPose(landmarks) {
+        const palmSize = this.distance(landmarks[0], landmarks[9]) || 1e-6;
+
+        // Finger extension scores, 0 = curled, 1 = extended
+        const index = this.fingerExtension(landmarks, 8, 6);
+        const middle = this.fingerExtension(landmarks, 12, 10);
+        const ring = this.fingerExtension(landmarks, 16, 14);
+        const pinky = this.fingerExtension(landmarks, 20, 18);
+        const thumb = this.clamp((this.distance(landmarks[4], landmarks[5]) / palmSize - 0.35) / 0.35);
+
+        // Thumb and index tips touching, away from the palm so a fist doesn't count
+        const touch = this.clamp(1 - (this.distance(landmarks[4], landmarks[8]) / palmSize - 0.15) / 0.25);
+        const reach = this.clamp((this.distance(landmarks[8], landmarks[0]) / palmSize - 0.9) / 0.3);
+
+        // Thumb pointing up or down relative to its base, in palm sizes
+        const thumbRise = (landmarks[2].y - landmarks[4].y) / palmSize;
+        const up = this.clamp((thumbRise - 0.3) / 0.4);
+        const down = this.clamp((-thumbRise - 0.3) / 0.4);
+
+        const curled = (score) => 1 - score;
+        const othersCurled = curled(middle) * curled(ring) * curled(pinky);
+
+        const candidates = [
+            { name: 'pinch', confidence: touch * reach * curled(middle) },
+            { name: 'ok', confidence: touch * reach * middle * ring * pinky },
+            { name: 'point', confidence: index * othersCurled * curled(touch) },
+            { name: 'victory', confidence: index * middle * curled(ring) * curled(pinky) },
+            { name: 'thumbsUp', confidence: thumb * up * curled(index) * othersCurled },
+            { name: 'thumbsDown', confidence: thumb * down * curled(index) * othersCurled }
+        ];
+
+        let best = { name: null, confidence: 0 };
+        for (const candidate of candidates) {
+            if (candidate.confidence > best.confidence) {
+                best = candidate;
+            }
+        }
+        return best;
+    }
+
+    fingerExtension(landmarks, tip, pip) {
+        // A straight finger puts its tip much further from the wrist than its middle joint
+        const ratio = this.distance(landmarks[tip], landmarks[0]) / (this.distance(landmarks[pip], landmarks[0]) || 1e-6);
+        return this.clamp((ratio - 0.95) / 0.3);
+    }
+
+    updatePose(state, handedness, pose, timestamp) {
+        const name = pose.confidence >= this.options.minConfidence ? pose.name : null;
+
+        if (name && name === state.activePose) {
+            state.poseConfidence = pose.confidence;
+            state.lastSeenPose = timestamp;
+            return;
+        }
+
+        // Brief dropouts keep the active pose alive
+        if (state.activePose && timestamp - state.lastSeenPose > this.options.releaseTime) {
+            this.endPose(state, handedness, timestamp);
+        }
+
+        if (name !== state.candidatePose) {
+            state.candidatePose = name;
+            state.candidateSince = timestamp;
+        }
+
+        if (name && !state.activePose && timestamp - state.candidateSince >= this.options.holdTime) {
+            state.activePose = name;
+            state.poseConfidence = pose.confidence;
+            state.poseStart = timestamp;
+            state.lastSeenPose = timestamp;
+            this.emitStart({
+                name: name,
+                type: 'pose',
+                handedness: handedness,
+                confidence: pose.confidence,
+                timestamp: timestamp
+            });
+        }
+    }
+
+    endPose(state, handedness, timestamp) {
+        if (!state.activePose) return;
+
+        this.emitEnd({
+            name: state.activePose,
+            type: 'pose',
+            handedness: handedness,
+            confidence: state.poseConfidence,
+            timestamp: timestamp,
+            duration: timestamp - state.poseStart
+        });
+        state.activePose = null;
+        state.poseConfidence = 0;
+    }
+
+    updateMotion(state, handedness, landmarks, timestamp) {
+        const palm = {
+            x: (landmarks[0].x + landmarks[5].x + landmarks[17].x) / 3,
+            y: (landmarks[0].y + landmarks[5].y + landmarks[17].y) / 3
+        };
+        state.history.push({ x: palm.x, y: palm.y, size: this.distance(landmarks[0], landmarks[9]), t: timestamp });
+        while (state.history.length && timestamp - state.history[0].t > this.options.historyDuration) {
+            state.history.shift();
+        }
+
+        // Motion gestures are instantaneous, end the previous one once the cooldown has passed
+        if (state.lastMotion && timestamp - state.lastMotionTime > this.options.motionCooldown) {
+            this.emitEnd({ ...state.lastMotion, timestamp: timestamp, duration: timestamp - state.lastMotionTime });
+            state.lastMotion = null;
+        }
+        if (state.lastMotion) return null;
+
+        const motion = this.detectSwipe(state.history, timestamp)
+            || this.detectPushPull(state.history, timestamp)
+            || this.detectCircle(state.history);
+        if (!motion || motion.confidence < this.options.minConfidence) return null;
+
+        const event = {
+            name: motion.name,
+            type: 'motion',
+            handedness: handedness,
+            confidence: motion.confidence,
+            timestamp: timestamp
+        };
+        state.lastMotion = event;
+        state.lastMotionTime = timestamp;
+
+        // Start over so the same movement isn't recognised twice
+        state.history = [state.history[state.history.length - 1]];
+        this.emitStart(event);
+        return motion;
+    }
+
+    detectSwipe(history, timestamp) {
+        const recent = history.filter(point => timestamp - point.t <= this.options.swipeTime);
+        if (recent.length < 3) return null;
+
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        const dx = last.x - first.x;
+        const dy = last.y - first.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < this.options.swipeDistance) return null;
+
+        // Mostly along one axis
+        const straightness = Math.max(Math.abs(dx), Math.abs(dy)) / distance;
+        const confidence = this.clamp((straightness - 0.7) / 0.25) * this.clamp(distance / (this.options.swipeDistance * 1.5));
+
+        // The camera image is not mirrored, so image x runs opposite to the user's left/right
+        let name;
+        if (Math.abs(dx) > Math.abs(dy)) {
+            name = dx < 0 ? 'swipeRight' : 'swipeLeft';
+        } else {
+            name = dy < 0 ? 'swipeUp' : 'swipeDown';
+        }
+        return { name: name, confidence: confidence };
+    }
+
+    detectPushPull(history, timestamp) {
+        const recent = history.filter(point => timestamp - point.t <= this.options.swipeTime * 1.5);
+        if (recent.length < 3) return null;
+
+        // The hand looks bigger as it moves towards the camera
+        const ratio = recent[recent.length - 1].size / (recent[0].size || 1e-6);
+        const scale = this.options.pushScale;
+        if (ratio >= scale) {
+            return { name: 'push', confidence: this.clamp((ratio - 1) / ((scale - 1) * 1.5)) };
+        }
+        if (ratio <= 1 / scale) {
+            return { name: 'pull', confidence: this.clamp((1 / ratio - 1) / ((scale - 1) * 1.5)) };
+        }
+        return null;
+    }
+
+    detectCircle(history) {
+        if (history.length < 10) return null;
+
+        const center = { x: 0, y: 0 };
+        for (const point of history) {
+            center.x += point.x / history.length;
+            center.y += point.y / history.length;
+        }
+
+        // Total angle swept around the centroid, and how round the path is
+        let swept = 0;
+        let radiusSum = 0;
+        let previousAngle = Math.atan2(history[0].y - center.y, history[0].x - center.x);
+        for (const point of history) {
+            const angle = Math.atan2(point.y - center.y, point.x - center.x);
+            let delta = angle - previousAngle;
+            if (delta > Math.PI) delta -= Math.PI * 2;
+            if (delta < -Math.PI) delta += Math.PI * 2;
+            swept += delta;
+            previousAngle = angle;
+            radiusSum += Math.hypot(point.x - center.x, point.y - center.y);
+        }
+
+        const radius = radiusSum / history.length;
+        if (radius < 0.05) return null;
+
+        const turns = Math.abs(swept) / (Math.PI * 2);
+        return { name: 'circle', confidence: this.clamp((turns - 0.75) / 0.25) };
+    }
+
+    endHand(handedness, timestamp) {
+        const state = this.handStates[handedness];
+        this.endPose(state, handedness, timestamp);
+        if (state.lastMotion) {
+            this.emitEnd({ ...state.lastMotion, timestamp: timestamp, duration: timestamp - state.lastMotionTime });
+        }
+        delete this.handStates[handedness];
+    }
+
+    emitStart(event) {
+        if (this.onGestureStart) {
+            this.onGestureStart(event);
+        }
+    }
+
+    emitEnd(event) {
+        if (this.onGestureEnd) {
+            this.onGestureEnd(event);
+        }
+    }
+
+    getActivePose(handedness) {
+        const state = this.handStates[handedness];
+        return state && state.activePose ? { name: state.activePose, confidence: state.poseConfidence } : null;
+    }
+
+    getDescription(name) {
+        const descriptions = {
+            pinch: { icon: '🤏', text: 'Pinch' },
+            ok: { icon: '👌', text: 'OK' },
+            point: { icon: '☝️', text: 'Point' },
+            victory: { icon: '✌️', text: 'Victory' },
+            thumbsUp: { icon: '👍', text: 'Thumbs Up' },
+            thumbsDown: { icon: '👎', text: 'Thumbs Down' },
+            swipeLeft: { icon: '👈', text: 'Swipe Left' },
+            swipeRight: { icon: '👉', text: 'Swipe Right' },
+            swipeUp: { icon: '👆', text: 'Swipe Up' },
+            swipeDown: { icon: '👇', text: 'Swipe Down' },
+            circle: { icon: '🔄', text: 'Circle' },
+            push: { icon: '🫸', text: 'Push' },
+            pull: { icon: '🫷', text: 'Pull' }
+        };
+        return descriptions[name] || null;
+    }
+
+    reset() {
+        const timestamp = performance.now();
+        for (const handedness of Object.keys(this.handStates)) {
+            this.endHand(handedness, timestamp);
+        }
+    }
+
+    distance(p1, p2) {
+        const dx = p1.x - p2.x;
+        const dy = p1.y - p2.y;
+        const dz = (p1.z || 0) - (p2.z || 0);
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    clamp(value) {
+        return Math.max(0, Math.min(1, value));
+    }
+}
+
+// Export for use in other modules
+window.GestureClassifier = GestureClassifier;
@@ -1,16 +1,17 @@
 /**
  * Gesture Detector Module
- * Hand gesture detection using MediaPipe Hands
+ * Hand gesture detection using MediaPipe Hands, the camera input source
  */
 
-class GestureDetector {
+class GestureDetector extends InputSource {
     constructor(videoElement, canvasElement, options = {}) {
+        super('camera');
         this.video = videoElement;
         this.canvas = canvasElement;
         this.ctx = canvasElement.getContext('2d');
         
         this.options = {
-            maxNumHands: 1,
+            maxNumHands: 2,
             modelComplexity: 1,
             minDetectionConfidence: 0.7,
             minTrackingConfidence: 0.5,
@@ -19,45 +20,47 @@ class GestureDetector {
         
         this.hands = null;
         this.camera = null;
-        this.isRunning = false;
         this.showTracking = true;
-        this.sensitivity = 1.0;
-        
-        // Gesture state
-        this.currentGesture = {
-            openness: 0.5, // 0 = closed fist, 1 = open hand
-            position: { x: 0.5, y: 0.5 },
-            isDetected: false,
-            confidence: 0
-        };
-        
-        // Callbacks
-        this.onGestureUpdate = null;
-        this.onHandDetected = null;
-        this.onHandLost = null;
         
-        // Smoothing
-        this.smoothingFactor = 0.3;
-        this.previousOpenness = 0.5;
-        this.previousPosition = { x: 0.5, y: 0.5 };
+        // Smoothing, of every landmark and derived signal of each hand
+        this.filters = new SignalFilterBank('oneEuro');
+        this.previousPrimary = null;
+
+        // Dropouts shorter than this (ms) keep the last hands, and onHandLost waits for it to pass
+        this.gracePeriod = 150;
+        this.lastSeenTime = null;
+        this.lastFrameTime = 0; // When the camera last delivered a frame
+
+        // A user's measured openness range and reach, see calibrate()
+        this.calibration = null;
+
+        // Raw and filtered values of the primary hand, plotted over the hand canvas
+        this.showFilterPlot = false;
+        this.plotHistory = [];
+        this.plotLength = 90; // Frames, about three seconds of camera input
+
+        // Session recording, see startRecording()
+        this.recording = null;
     }
 
     async init() {
-        // Initialize MediaPipe Hands
-        this.hands = new Hands({
-            locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/${file}`;
-            }
-        });
+        // Initialize MediaPipe Hands, once: a retry after a camera failure reuses the model
+        if (!this.hands) {
+            this.hands = new Hands({
+                locateFile: (file) => {
+                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/${file}`;
+                }
+            });
 
-        this.hands.setOptions({
-            maxNumHands: this.options.maxNumHands,
-            modelComplexity: this.options.modelComplexity,
-            minDetectionConfidence: this.options.minDetectionConfidence,
-            minTrackingConfidence: this.options.minTrackingConfidence
-        });
+            this.hands.setOptions({
+                maxNumHands: this.options.maxNumHands,
+                modelComplexity: this.options.modelComplexity,
+                minDetectionConfidence: this.options.minDetectionConfidence,
+                minTrackingConfidence: this.options.minTrackingConfidence
+            });
 
-        this.hands.onResults((results) => this.onResults(results));
+            this.hands.onResults((results) => this.onResults(results));
+        }
 
         return new Promise((resolve, reject) => {
             // Setup camera
@@ -74,6 +77,7 @@ class GestureDetector {
             this.camera.start()
                 .then(() => {
                     this.isRunning = true;
+                    this.lastFrameTime = performance.now();
                     this.updateCanvasSize();
                     resolve();
                 })
@@ -84,42 +88,100 @@ class GestureDetector {
         });
     }
 
+    // Reopens the camera stream, for when it stalls or the device drops out
+    async restartCamera() {
+        this.camera.stop();
+        this.lastFrameTime = performance.now();
+        await this.camera.start();
+        this.updateCanvasSize();
+    }
+
+    resume() {
+        super.resume();
+        this.lastFrameTime = performance.now(); // A pause isn't a stall
+    }
+
     updateCanvasSize() {
         this.canvas.width = this.video.videoWidth || 640;
         this.canvas.height = this.video.videoHeight || 480;
     }
 
     onResults(results) {
+        // Replayed frames carry their own timestamp
+        const timestamp = results.timestamp !== undefined ? results.timestamp : performance.now();
+        if (results.timestamp === undefined) {
+            this.lastFrameTime = timestamp; // Watched for camera stalls
+        }
+        this.currentGesture.timestamp = timestamp;
+
+        if (this.recording) {
+            this.recordFrame(results, timestamp);
+        }
+
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
         if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            const landmarks = results.multiHandLandmarks[0];
-            
-            // Draw hand landmarks if tracking is enabled
-            if (this.showTracking) {
-                this.drawHand(landmarks, results.multiHandedness[0]);
+            const hands = [];
+            const seenHands = {};
+
+            for (let i = 0; i < results.multiHandLandmarks.length; i++) {
+                const landmarks = results.multiHandLandmarks[i];
+                const handedness = this.getHandedness(results.multiHandedness[i], seenHands);
+                seenHands[handedness] = true;
+
+                const smoothed = this.filterLandmarks(landmarks, handedness, timestamp);
+
+                // Draw hand landmarks if tracking is enabled
+                if (this.showTracking) {
+                    this.drawHand(smoothed, handedness);
+                }
+
+                // Derived signals come from the raw landmarks and get their own filters,
+                // rather than being filtered twice
+                const gesture = this.calibrate(this.analyzeGesture(landmarks));
+                const hand = {
+                    handedness: handedness,
+                    openness: Math.max(0, Math.min(1, this.filters.filter(`${handedness}:openness`, gesture.openness, timestamp))),
+                    position: {
+                        x: this.filters.filter(`${handedness}:x`, gesture.position.x, timestamp),
+                        y: this.filters.filter(`${handedness}:y`, gesture.position.y, timestamp)
+                    },
+                    raw: gesture,
+                    confidence: results.multiHandedness[i].score,
+                    landmarks: smoothed
+                };
+                hands.push(hand);
             }
 
-            // Calculate gesture
-            const gesture = this.analyzeGesture(landmarks);
-            
-            // Smooth the values
-            this.currentGesture.openness = this.lerp(
-                this.previousOpenness,
-                gesture.openness,
-                this.smoothingFactor
-            );
-            this.currentGesture.position = {
-                x: this.lerp(this.previousPosition.x, gesture.position.x, this.smoothingFactor),
-                y: this.lerp(this.previousPosition.y, gesture.position.y, this.smoothingFactor)
-            };
+            // Forget hands that left the frame so they start fresh when they return
+            for (const handedness of ['Left', 'Right']) {
+                if (!seenHands[handedness]) {
+                    this.filters.remove(`${handedness}:`);
+                }
+            }
+
+            // Left hand first keeps per-hand roles stable between frames
+            hands.sort((a, b) => a.handedness.localeCompare(b.handedness));
+
+            // The primary hand drives the single-hand fields
+            const primary = hands.find(hand => hand.handedness === this.previousPrimary) || hands[0];
+            this.previousPrimary = primary.handedness;
+
+            this.currentGesture.openness = primary.openness;
+            this.currentGesture.position = { ...primary.position };
             this.currentGesture.isDetected = true;
-            this.currentGesture.confidence = results.multiHandedness[0].score;
+            this.currentGesture.confidence = primary.confidence;
+            this.currentGesture.hands = hands;
+            this.currentGesture.primaryHand = primary.handedness;
 
-            // Update previous values
-            this.previousOpenness = this.currentGesture.openness;
-            this.previousPosition = { ...this.currentGesture.position };
+            if (this.showTracking) {
+                this.drawOpennessIndicators();
+            }
+            this.recordPlotSample(primary);
+            if (this.showFilterPlot) {
+                this.drawFilterPlot();
+            }
 
             // Trigger callback
             if (this.onGestureUpdate) {
@@ -131,27 +193,125 @@ class GestureDetector {
                 this.onHandDetected();
             }
             this.wasHandDetected = true;
+            this.lastSeenTime = timestamp;
+        } else if (this.wasHandDetected && timestamp - this.lastSeenTime < this.gracePeriod) {
+            // A short dropout goes unreported, the last hands carry on
+            if (this.showTracking) {
+                this.currentGesture.hands.forEach(hand => this.drawHand(hand.landmarks, hand.handedness));
+            }
+            if (this.onGestureUpdate) {
+                this.onGestureUpdate(this.currentGesture);
+            }
         } else {
-            // No hand detected
-            if (this.wasHandDetected && this.onHandLost) {
+            // No hand detected, the state is updated first so onHandLost sees it
+            const wasHandDetected = this.wasHandDetected;
+            this.wasHandDetected = false;
+            if (wasHandDetected && this.onHandLost) {
                 this.onHandLost();
             }
-            this.wasHandDetected = false;
             this.currentGesture.isDetected = false;
-            
-            // Gradually return to neutral
-            this.currentGesture.openness = this.lerp(this.currentGesture.openness, 0.5, 0.05);
-            this.currentGesture.position = {
-                x: this.lerp(this.currentGesture.position.x, 0.5, 0.05),
-                y: this.lerp(this.currentGesture.position.y, 0.5, 0.05)
-            };
-            
+            this.currentGesture.hands = [];
+            this.currentGesture.primaryHand = null;
+            this.filters.reset();
+            this.plotHistory = [];
+
+            // Openness and position keep their last values, the app's hand-loss policy decides what follows
             if (this.onGestureUpdate) {
                 this.onGestureUpdate(this.currentGesture);
             }
         }
     }
 
+    startRecording() {
+        this.recording = {
+            startTime: null,
+            frames: []
+        };
+    }
+
+    recordFrame(results, timestamp) {
+        if (this.recording.startTime === null) {
+            this.recording.startTime = timestamp;
+        }
+
+        // Keep only the raw landmark data, rounded to keep files small
+        const round = (value) => Math.round(value * 100000) / 100000;
+        const landmarks = results.multiHandLandmarks || [];
+        const handedness = results.multiHandedness || [];
+
+        this.recording.frames.push({
+            t: Math.round(timestamp - this.recording.startTime),
+            multiHandLandmarks: landmarks.map(hand => hand.map(point => ({
+                x: round(point.x),
+                y: round(point.y),
+                z: round(point.z || 0)
+            }))),
+            multiHandedness: handedness.map(classification => ({
+                label: classification.label,
+                score: round(classification.score)
+            }))
+        });
+    }
+
+    stopRecording() {
+        if (!this.recording) return null;
+
+        const frames = this.recording.frames;
+        this.recording = null;
+
+        return {
+            version: 1,
+            createdAt: new Date().toISOString(),
+            maxNumHands: this.options.maxNumHands,
+            duration: frames.length > 0 ? frames[frames.length - 1].t : 0,
+            frames: frames
+        };
+    }
+
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    resetSmoothing() {
+        this.filters.reset();
+        this.plotHistory = [];
+        this.previousPrimary = null;
+    }
+
+    // Smoothed copies of a hand's landmarks, one filter per coordinate
+    filterLandmarks(landmarks, handedness, timestamp) {
+        return landmarks.map((point, i) => ({
+            x: this.filters.filter(`${handedness}:${i}:x`, point.x, timestamp),
+            y: this.filters.filter(`${handedness}:${i}:y`, point.y, timestamp),
+            z: this.filters.filter(`${handedness}:${i}:z`, point.z || 0, timestamp)
+        }));
+    }
+
+    setFilterType(type) {
+        this.filters.setType(type);
+        this.plotHistory = [];
+    }
+
+    setFilterParams(params) {
+        this.filters.setParams(params);
+    }
+
+    setShowFilterPlot(show) {
+        this.showFilterPlot = show;
+    }
+
+    getHandedness(classification, seenHands) {
+        // MediaPipe labels assume a mirrored selfie image; the camera feed is not mirrored,
+        // so swap the labels to name the user's actual hand
+        let handedness = classification.label === 'Left' ? 'Right' : 'Left';
+
+        // Both hands occasionally get the same label, keep them apart
+        if (seenHands[handedness]) {
+            handedness = handedness === 'Left' ? 'Right' : 'Left';
+        }
+        return handedness;
+    }
+
     analyzeGesture(landmarks) {
         // Hand landmark indices
         const WRIST = 0;
@@ -212,6 +372,27 @@ class GestureDetector {
         };
     }
 
+    // Stretches the calibrated openness range and reachable area to the full 0-1 range
+    calibrate(gesture) {
+        const calibration = this.calibration;
+        if (!calibration) return gesture;
+
+        const remap = (value, min, max) => Math.max(0, Math.min(1, (value - min) / (max - min)));
+        const bounds = calibration.bounds;
+        return {
+            openness: remap(gesture.openness, calibration.openness.min, calibration.openness.max),
+            position: {
+                x: remap(gesture.position.x, bounds.minX, bounds.maxX),
+                y: remap(gesture.position.y, bounds.minY, bounds.maxY)
+            }
+        };
+    }
+
+    setCalibration(calibration) {
+        this.calibration = calibration;
+        this.resetSmoothing();
+    }
+
     distance(p1, p2) {
         const dx = p1.x - p2.x;
         const dy = p1.y - p2.y;
@@ -219,10 +400,6 @@ class GestureDetector {
         return Math.sqrt(dx * dx + dy * dy + dz * dz);
     }
 
-    lerp(a, b, t) {
-        return a + (b - a) * t;
-    }
-
     drawHand(landmarks, handedness) {
         const connections = [
             // Thumb
@@ -242,8 +419,12 @@ class GestureDetector {
         const width = this.canvas.width;
         const height = this.canvas.height;
 
+        // Right hand is drawn in the secondary accent so two hands stay distinguishable
+        const lineColor = handedness === 'Right' ? 'rgba(255, 0, 212, 0.6)' : 'rgba(0, 212, 255, 0.6)';
+        const jointColor = handedness === 'Right' ? 'rgba(255, 0, 212, 0.8)' : 'rgba(0, 212, 255, 0.8)';
+
         // Draw connections
-        this.ctx.strokeStyle = 'rgba(0, 212, 255, 0.6)';
+        this.ctx.strokeStyle = lineColor;
         this.ctx.lineWidth = 3;
         this.ctx.lineCap = 'round';
 
@@ -274,7 +455,7 @@ class GestureDetector {
                 gradient.addColorStop(1, 'rgba(0, 212, 255, 0.5)');
                 this.ctx.fillStyle = gradient;
             } else {
-                this.ctx.fillStyle = 'rgba(0, 212, 255, 0.8)';
+                this.ctx.fillStyle = jointColor;
             }
             
             this.ctx.beginPath();
@@ -282,12 +463,19 @@ class GestureDetector {
             this.ctx.fill();
         }
 
-        // Draw openness indicator
-        this.drawOpennessIndicator();
     }
 
-    drawOpennessIndicator() {
-        const x = this.canvas.width - 30;
+    drawOpennessIndicators() {
+        const hands = this.currentGesture.hands;
+
+        // Canvas coordinates are unmirrored, the user's left hand sits near the right edge
+        for (const hand of hands) {
+            const x = hand.handedness === 'Left' || hands.length === 1 ? this.canvas.width - 30 : 30;
+            this.drawOpennessIndicator(x, hand.openness);
+        }
+    }
+
+    drawOpennessIndicator(x, openness) {
         const y = this.canvas.height / 2;
         const height = 100;
         const width = 10;
@@ -297,7 +485,7 @@ class GestureDetector {
         this.ctx.fillRect(x - width/2, y - height/2, width, height);
         
         // Fill based on openness
-        const fillHeight = height * this.currentGesture.openness;
+        const fillHeight = height * openness;
         const gradient = this.ctx.createLinearGradient(x, y + height/2, x, y - height/2);
         gradient.addColorStop(0, '#00d4ff');
         gradient.addColorStop(1, '#ff00d4');
@@ -311,43 +499,79 @@ class GestureDetector {
         this.ctx.strokeRect(x - width/2, y - height/2, width, height);
     }
 
-    setShowTracking(show) {
-        this.showTracking = show;
+    recordPlotSample(hand) {
+        this.plotHistory.push({
+            raw: [hand.raw.openness, hand.raw.position.x, hand.raw.position.y],
+            filtered: [hand.openness, hand.position.x, hand.position.y]
+        });
+        if (this.plotHistory.length > this.plotLength) {
+            this.plotHistory.shift();
+        }
     }
 
-    setSensitivity(sensitivity) {
-        this.sensitivity = sensitivity;
-        this.smoothingFactor = 0.2 + (1 - sensitivity) * 0.3; // Lower sensitivity = more smoothing
-    }
+    // Openness, x and y of the primary hand over the last frames, raw in white, filtered in cyan
+    drawFilterPlot() {
+        const history = this.plotHistory;
+        if (history.length < 2) return;
+
+        const ctx = this.ctx;
+        const labels = ['Openness', 'X', 'Y'];
+        const plotWidth = 180;
+        const rowHeight = 40;
+        const margin = 10;
+
+        // The preview is mirrored by CSS, mirror back so the plot and its labels read normally
+        ctx.save();
+        ctx.translate(this.canvas.width, 0);
+        ctx.scale(-1, 1);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(margin, margin, plotWidth, rowHeight * labels.length);
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1.5;
+
+        labels.forEach((label, row) => {
+            const top = margin + row * rowHeight;
+
+            // Each row scales to its own recent range, so jitter stays visible
+            let min = Infinity;
+            let max = -Infinity;
+            for (const sample of history) {
+                min = Math.min(min, sample.raw[row], sample.filtered[row]);
+                max = Math.max(max, sample.raw[row], sample.filtered[row]);
+            }
+            const span = Math.max(max - min, 0.02);
+            const center = (min + max) / 2;
+
+            const series = [['raw', 'rgba(255, 255, 255, 0.4)'], ['filtered', '#00d4ff']];
+            for (const [name, color] of series) {
+                ctx.strokeStyle = color;
+                ctx.beginPath();
+                history.forEach((sample, i) => {
+                    const x = margin + (i / (this.plotLength - 1)) * plotWidth;
+                    const y = top + rowHeight / 2 - ((sample[name][row] - center) / span) * (rowHeight - 8);
+                    if (i === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                });
+                ctx.stroke();
+            }
 
-    getGesture() {
-        return this.currentGesture;
-    }
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fillText(label, margin + 4, top + 11);
+        });
 
-    getGestureDescription() {
-        const openness = this.currentGesture.openness;
-        
-        if (!this.currentGesture.isDetected) {
-            return { icon: '👋', text: 'Searching...' };
-        }
-        
-        if (openness < 0.3) {
-            return { icon: '✊', text: 'Closed Fist' };
-        } else if (openness < 0.5) {
-            return { icon: '🤏', text: 'Partially Closed' };
-        } else if (openness < 0.7) {
-            return { icon: '🖐️', text: 'Partially Open' };
-        } else {
-            return { icon: '✋', text: 'Open Hand' };
-        }
+        ctx.restore();
     }
 
-    pause() {
-        this.isRunning = false;
+    setShowTracking(show) {
+        this.showTracking = show;
     }
 
-    resume() {
-        this.isRunning = true;
+    setGracePeriod(ms) {
+        this.gracePeriod = ms;
     }
 
     stop() {
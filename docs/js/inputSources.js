@@ -0,0 +1,415 @@
+/**
+ * Input Sources Module
+ * Common gesture source interface plus mouse, touch, keyboard and gamepad fallbacks
+ */
+
+class InputSource {
+    constructor(name) {
+        this.name = name;
+        this.isRunning = false;
+
+        // Gesture state shared by every source
+        this.currentGesture = {
+            openness: 0.5, // 0 = closed fist, 1 = open hand
+            position: { x: 0.5, y: 0.5 },
+            isDetected: false,
+            confidence: 0,
+            hands: [], // One entry per tracked hand
+            primaryHand: null, // Handedness of the hand driving the single-hand fields
+            timestamp: 0
+        };
+
+        // Callbacks
+        this.onGestureUpdate = null;
+        this.onHandDetected = null;
+        this.onHandLost = null;
+        this.wasHandDetected = false;
+    }
+
+    async init() {
+        this.isRunning = true;
+    }
+
+    // Publishes a single synthetic hand in the same shape the camera produces
+    emitGesture(openness, position, isDetected, confidence = 1) {
+        if (!this.isRunning) return;
+
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        this.currentGesture.openness = clamp(openness);
+        this.currentGesture.position = { x: clamp(position.x), y: clamp(position.y) };
+        this.currentGesture.isDetected = isDetected;
+        this.currentGesture.confidence = isDetected ? confidence : 0;
+        this.currentGesture.timestamp = performance.now();
+        this.currentGesture.primaryHand = isDetected ? 'Right' : null;
+        this.currentGesture.hands = isDetected ? [{
+            handedness: 'Right',
+            openness: this.currentGesture.openness,
+            position: { ...this.currentGesture.position },
+            confidence: confidence
+        }] : [];
+
+        if (isDetected && !this.wasHandDetected && this.onHandDetected) {
+            this.onHandDetected();
+        } else if (!isDetected && this.wasHandDetected && this.onHandLost) {
+            this.onHandLost();
+        }
+        this.wasHandDetected = isDetected;
+
+        if (this.onGestureUpdate) {
+            this.onGestureUpdate(this.currentGesture);
+        }
+    }
+
+    getGesture() {
+        return this.currentGesture;
+    }
+
+    // Hands are listed left first, so the primary hand isn't always the first one
+    static getPrimaryHand(gesture) {
+        return gesture.hands.find(hand => hand.handedness === gesture.primaryHand) || gesture.hands[0];
+    }
+
+    getGestureDescription() {
+        const openness = this.currentGesture.openness;
+
+        if (!this.currentGesture.isDetected) {
+            return { icon: '👋', text: 'Searching...' };
+        }
+
+        if (this.currentGesture.hands.length > 1) {
+            return { icon: '🙌', text: 'Two Hands' };
+        }
+
+        if (openness < 0.3) {
+            return { icon: '✊', text: 'Closed Fist' };
+        } else if (openness < 0.5) {
+            return { icon: '🤏', text: 'Partially Closed' };
+        } else if (openness < 0.7) {
+            return { icon: '🖐️', text: 'Partially Open' };
+        } else {
+            return { icon: '✋', text: 'Open Hand' };
+        }
+    }
+
+    pause() {
+        this.isRunning = false;
+    }
+
+    resume() {
+        this.isRunning = true;
+    }
+
+    stop() {
+        this.isRunning = false;
+        this.wasHandDetected = false; // So a restart reports the hand again
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
+
+/**
+ * Mouse: pointer sets position, wheel sets openness, holding a button closes the hand
+ */
+class MouseInputSource extends InputSource {
+    constructor(element) {
+        super('mouse');
+        this.element = element;
+        this.wheelOpenness = 0.5;
+        this.isPressed = false;
+        this.isInside = false;
+        this.position = { x: 0.5, y: 0.5 };
+
+        this.handlers = {
+            // Shift is left to the camera controls
+            pointermove: (e) => {
+                if (e.pointerType !== 'mouse' || e.shiftKey) return;
+                this.isInside = true;
+                this.position = this.toNormalized(e);
+                this.update();
+            },
+            pointerdown: (e) => {
+                if (e.pointerType !== 'mouse' || e.shiftKey) return;
+                this.isPressed = true;
+                this.update();
+            },
+            pointerup: (e) => {
+                if (e.pointerType !== 'mouse') return;
+                this.isPressed = false;
+                this.update();
+            },
+            pointerleave: (e) => {
+                if (e.pointerType !== 'mouse') return;
+                this.isInside = false;
+                this.isPressed = false;
+                this.update();
+            },
+            wheel: (e) => {
+                if (e.shiftKey) return;
+                e.preventDefault();
+                this.wheelOpenness = Math.max(0, Math.min(1, this.wheelOpenness - Math.sign(e.deltaY) * 0.05));
+                this.update();
+            }
+        };
+    }
+
+    async init() {
+        for (const type of Object.keys(this.handlers)) {
+            this.element.addEventListener(type, this.handlers[type], { passive: type !== 'wheel' });
+        }
+        this.isRunning = true;
+    }
+
+    toNormalized(e) {
+        const rect = this.element.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / rect.width,
+            y: (e.clientY - rect.top) / rect.height
+        };
+    }
+
+    update() {
+        const openness = this.isPressed ? 0 : this.wheelOpenness;
+        this.emitGesture(openness, this.position, this.isInside);
+    }
+
+    stop() {
+        super.stop();
+        for (const type of Object.keys(this.handlers)) {
+            this.element.removeEventListener(type, this.handlers[type]);
+        }
+    }
+}
+
+/**
+ * Touch: one finger sets position, a two-finger pinch sets openness
+ */
+class TouchInputSource extends InputSource {
+    constructor(element) {
+        super('touch');
+        this.element = element;
+        this.openness = 0.5;
+        this.pinchStart = null; // { distance, openness } when two fingers land
+
+        this.handlers = {
+            touchstart: (e) => this.onTouch(e),
+            touchmove: (e) => this.onTouch(e),
+            touchend: (e) => this.onTouch(e),
+            touchcancel: (e) => this.onTouch(e)
+        };
+    }
+
+    async init() {
+        for (const type of Object.keys(this.handlers)) {
+            this.element.addEventListener(type, this.handlers[type], { passive: false });
+        }
+        this.isRunning = true;
+    }
+
+    onTouch(e) {
+        if (!this.isRunning) return;
+        e.preventDefault();
+
+        const touches = Array.from(e.touches);
+        if (touches.length === 0) {
+            this.pinchStart = null;
+            this.emitGesture(this.openness, this.currentGesture.position, false);
+            return;
+        }
+
+        const rect = this.element.getBoundingClientRect();
+        const points = touches.map(touch => ({
+            x: (touch.clientX - rect.left) / rect.width,
+            y: (touch.clientY - rect.top) / rect.height
+        }));
+
+        let position = points[0];
+        if (points.length >= 2) {
+            const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+            if (!this.pinchStart) {
+                this.pinchStart = { distance: distance, openness: this.openness };
+            }
+            // Spreading the fingers by half the screen opens the hand fully
+            this.openness = Math.max(0, Math.min(1, this.pinchStart.openness + (distance - this.pinchStart.distance) * 2));
+            position = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+        } else {
+            this.pinchStart = null;
+        }
+
+        this.emitGesture(this.openness, position, true);
+    }
+
+    stop() {
+        super.stop();
+        for (const type of Object.keys(this.handlers)) {
+            this.element.removeEventListener(type, this.handlers[type]);
+        }
+    }
+}
+
+/**
+ * Keyboard: arrow keys move, [ and ] close and open, space holds a fist
+ */
+class KeyboardInputSource extends InputSource {
+    constructor() {
+        super('keyboard');
+        this.keys = {};
+        this.openness = 0.5;
+        this.position = { x: 0.5, y: 0.5 };
+        this.animationFrame = null;
+        this.lastTick = 0;
+
+        this.handlers = {
+            keydown: (e) => {
+                if (!this.isHandledKey(e.key)) return;
+                e.preventDefault();
+                this.keys[e.key] = true;
+            },
+            keyup: (e) => {
+                delete this.keys[e.key];
+            }
+        };
+    }
+
+    async init() {
+        document.addEventListener('keydown', this.handlers.keydown);
+        document.addEventListener('keyup', this.handlers.keyup);
+        this.isRunning = true;
+        this.lastTick = performance.now();
+        this.tick();
+    }
+
+    isHandledKey(key) {
+        return ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', '[', ']', ' '].includes(key);
+    }
+
+    tick() {
+        if (!this.isRunning) {
+            this.animationFrame = null;
+            return;
+        }
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+
+        const now = performance.now();
+        const dt = Math.min((now - this.lastTick) / 1000, 0.1);
+        this.lastTick = now;
+
+        // Units per second across the normalized frame
+        const moveSpeed = 0.6;
+        const openSpeed = 1.0;
+        if (this.keys.ArrowLeft) this.position.x -= moveSpeed * dt;
+        if (this.keys.ArrowRight) this.position.x += moveSpeed * dt;
+        if (this.keys.ArrowUp) this.position.y -= moveSpeed * dt;
+        if (this.keys.ArrowDown) this.position.y += moveSpeed * dt;
+        if (this.keys['[']) this.openness -= openSpeed * dt;
+        if (this.keys[']']) this.openness += openSpeed * dt;
+
+        this.position.x = Math.max(0, Math.min(1, this.position.x));
+        this.position.y = Math.max(0, Math.min(1, this.position.y));
+        this.openness = Math.max(0, Math.min(1, this.openness));
+
+        this.emitGesture(this.keys[' '] ? 0 : this.openness, this.position, true);
+    }
+
+    // Polling only runs while the source does
+    pause() {
+        super.pause();
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+    }
+
+    resume() {
+        super.resume();
+        if (this.animationFrame === null) {
+            this.lastTick = performance.now();
+            this.tick();
+        }
+    }
+
+    stop() {
+        super.stop();
+        this.keys = {};
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        document.removeEventListener('keydown', this.handlers.keydown);
+        document.removeEventListener('keyup', this.handlers.keyup);
+    }
+}
+
+/**
+ * Gamepad: left stick moves, right trigger opens, left trigger closes
+ */
+class GamepadInputSource extends InputSource {
+    constructor() {
+        super('gamepad');
+        this.position = { x: 0.5, y: 0.5 };
+        this.animationFrame = null;
+        this.lastTick = 0;
+        this.deadZone = 0.15;
+    }
+
+    async init() {
+        if (!navigator.getGamepads) {
+            throw new Error('Gamepad API not supported');
+        }
+        this.isRunning = true;
+        this.lastTick = performance.now();
+        this.tick();
+    }
+
+    tick() {
+        if (!this.isRunning) {
+            this.animationFrame = null;
+            return;
+        }
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+
+        const now = performance.now();
+        const dt = Math.min((now - this.lastTick) / 1000, 0.1);
+        this.lastTick = now;
+
+        const gamepad = Array.from(navigator.getGamepads()).find(pad => pad && pad.connected);
+        if (!gamepad) {
+            this.emitGesture(0.5, this.position, false);
+            return;
+        }
+
+        const axis = (value) => (Math.abs(value) < this.deadZone ? 0 : value);
+        const speed = 0.8;
+        this.position.x = Math.max(0, Math.min(1, this.position.x + axis(gamepad.axes[0] || 0) * speed * dt));
+        this.position.y = Math.max(0, Math.min(1, this.position.y + axis(gamepad.axes[1] || 0) * speed * dt));
+
+        const button = (index) => (gamepad.buttons[index] ? gamepad.buttons[index].value : 0);
+        const openness = 0.5 + (button(7) - button(6)) / 2;
+
+        this.emitGesture(openness, this.position, true);
+    }
+
+    pause() {
+        super.pause();
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+    }
+
+    resume() {
+        super.resume();
+        if (this.animationFrame === null) {
+            this.lastTick = performance.now();
+            this.tick();
+        }
+    }
+
+    stop() {
+        super.stop();
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+    }
+}
+
+// Export for use in other modules
+window.InputSource = InputSource;
+window.MouseInputSource = MouseInputSource;
+window.TouchInputSource = TouchInputSource;
+window.KeyboardInputSource = KeyboardInputSource;
+window.GamepadInputSource = GamepadInputSource;
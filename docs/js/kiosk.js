@@ -0,0 +1,140 @@
+/**
+ * Kiosk Module
+ * Locked, self-starting installation mode with a watchdog and scheduled reloads
+ */
+
+class KioskMode {
+    constructor() {
+        this.storageKey = 'gestureParticles.kiosk';
+        this.enabled = false;
+        this.isUnlocked = false; // The admin combo shows the controls again
+        this.reloadInterval = 6; // Hours between page reloads, 0 never reloads
+        this.checkInterval = 5; // Seconds between watchdog checks
+        this.cameraTimeout = 10; // Seconds without camera frames before the camera restarts
+        this.contextDelay = 2; // Seconds from a lost WebGL context to the reload
+
+        this.startTime = performance.now();
+        this.watchdogTimer = null;
+        this.contextTimer = null;
+
+        // Callbacks
+        this.onCheck = null; // Run by the watchdog, while kiosk mode is on
+        this.canReload = null; // () => boolean, a scheduled reload waits until it's true
+        this.onBeforeReload = null;
+        this.onChange = null; // (enabled, isUnlocked)
+    }
+
+    // Ctrl+Alt+K, the only shortcut that works while the screen is locked
+    static isAdminCombo(e) {
+        return e.ctrlKey && e.altKey && (e.key === 'k' || e.key === 'K');
+    }
+
+    // Stored setting, overridden by ?kiosk (or ?kiosk=0) and ?reload=hours in the page URL
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.enabled = !!stored.enabled;
+                this.reloadInterval = stored.reloadInterval !== undefined ? stored.reloadInterval : this.reloadInterval;
+            }
+        } catch (err) {
+            console.error('Could not load kiosk settings:', err);
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('kiosk')) {
+            this.enabled = params.get('kiosk') !== '0';
+        }
+        if (params.has('reload')) {
+            this.reloadInterval = Math.max(0, parseFloat(params.get('reload')) || 0);
+        }
+        this.notify();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                enabled: this.enabled,
+                reloadInterval: this.reloadInterval
+            }));
+        } catch (err) {
+            console.error('Could not save kiosk settings:', err);
+        }
+    }
+
+    isLocked() {
+        return this.enabled && !this.isUnlocked;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.isUnlocked = false;
+        this.save();
+        this.notify();
+    }
+
+    setReloadInterval(hours) {
+        this.reloadInterval = hours;
+        this.save();
+    }
+
+    toggleUnlocked() {
+        if (!this.enabled) return;
+        this.isUnlocked = !this.isUnlocked;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.enabled, this.isUnlocked);
+        }
+    }
+
+    startWatchdog() {
+        if (this.watchdogTimer) return;
+        this.watchdogTimer = setInterval(() => this.check(), this.checkInterval * 1000);
+    }
+
+    stopWatchdog() {
+        clearInterval(this.watchdogTimer);
+        this.watchdogTimer = null;
+    }
+
+    check() {
+        if (!this.enabled) return;
+
+        if (this.onCheck) {
+            this.onCheck();
+        }
+
+        const due = this.reloadInterval > 0 && performance.now() - this.startTime >= this.reloadInterval * 3600000;
+        if (due && (!this.canReload || this.canReload())) {
+            this.reload();
+        }
+    }
+
+    // Simulation textures and trails don't survive a lost WebGL context, so the page reloads
+    watchContext(canvas) {
+        canvas.addEventListener('webglcontextlost', () => {
+            if (!this.enabled || this.contextTimer) return;
+
+            console.warn('WebGL context lost, reloading');
+            this.contextTimer = setTimeout(() => this.reload(), this.contextDelay * 1000);
+        });
+    }
+
+    reload() {
+        if (this.onBeforeReload) {
+            this.onBeforeReload();
+        }
+        window.location.reload();
+    }
+
+    dispose() {
+        this.stopWatchdog();
+        clearTimeout(this.contextTimer);
+    }
+}
+
+// Export for use in other modules
+window.KioskMode = KioskMode;
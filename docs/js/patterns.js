@@ -0,0 +1,170 @@
+/**
+ * Built-in Patterns Module
+ * Registers the default shapes with ParticleSystem.registerPattern()
+ */
+
+(function () {
+    // Fills count positions from a per-particle point function
+    const fill = (count, point) => {
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const [x, y, z] = point(i);
+            positions[i * 3] = x;
+            positions[i * 3 + 1] = y;
+            positions[i * 3 + 2] = z;
+        }
+        return positions;
+    };
+
+    const radius = { type: 'float', label: 'Radius', min: 5, max: 30, step: 0.5, default: 15 };
+    const noise = (value) => ({ type: 'float', label: 'Noise', min: 0, max: 5, step: 0.1, default: value });
+
+    ParticleSystem.registerPattern('sphere', (count, random, params) => fill(count, () => {
+        const phi = Math.acos(2 * random() - 1);
+        const theta = random() * Math.PI * 2;
+        // Shell 0 fills the ball evenly, 1 keeps only the surface
+        const r = params.radius * Math.cbrt(params.shell + (1 - params.shell) * random());
+        return [
+            r * Math.sin(phi) * Math.cos(theta),
+            r * Math.sin(phi) * Math.sin(theta),
+            r * Math.cos(phi)
+        ];
+    }), {
+        label: 'Sphere',
+        preview: 'sphere-preview',
+        params: {
+            radius: radius,
+            shell: { type: 'float', label: 'Shell', min: 0, max: 1, step: 0.05, default: 0 }
+        }
+    });
+
+    ParticleSystem.registerPattern('cube', (count, random, params) => fill(count, () => [
+        (random() - 0.5) * params.radius * 2,
+        (random() - 0.5) * params.radius * 2,
+        (random() - 0.5) * params.radius * 2
+    ]), {
+        label: 'Cube',
+        preview: 'cube-preview',
+        params: {
+            radius: { ...radius, label: 'Half Size' }
+        }
+    });
+
+    ParticleSystem.registerPattern('torus', (count, random, params) => fill(count, () => {
+        const torusAngle = random() * Math.PI * 2;
+        const tubeAngle = random() * Math.PI * 2;
+        const torusRadius = params.radius * 0.8;
+        const tubeRadius = torusRadius * params.tubeRatio * random();
+        return [
+            (torusRadius + tubeRadius * Math.cos(tubeAngle)) * Math.cos(torusAngle),
+            tubeRadius * Math.sin(tubeAngle),
+            (torusRadius + tubeRadius * Math.cos(tubeAngle)) * Math.sin(torusAngle)
+        ];
+    }), {
+        label: 'Torus',
+        preview: 'torus-preview',
+        params: {
+            radius: radius,
+            tubeRatio: { type: 'float', label: 'Tube Ratio', min: 0.05, max: 0.9, step: 0.05, default: 0.375 }
+        }
+    });
+
+    ParticleSystem.registerPattern('spiral', (count, random, params) => fill(count, (i) => {
+        const spiralT = (i / count) * Math.PI * 2 * params.turns;
+        const spiralRadius = params.radius * (0.2 + (i / count) * 0.8);
+        return [
+            spiralRadius * Math.cos(spiralT) + (random() - 0.5) * params.noise,
+            (i / count - 0.5) * params.radius * params.height,
+            spiralRadius * Math.sin(spiralT) + (random() - 0.5) * params.noise
+        ];
+    }), {
+        label: 'Spiral',
+        preview: 'spiral-preview',
+        params: {
+            radius: radius,
+            turns: { type: 'float', label: 'Turns', min: 0.5, max: 12, step: 0.5, default: 4 },
+            height: { type: 'float', label: 'Height', min: 0, max: 4, step: 0.1, default: 2 },
+            noise: noise(2)
+        }
+    });
+
+    ParticleSystem.registerPattern('galaxy', (count, random, params) => fill(count, () => {
+        const arm = Math.floor(random() * params.arms);
+        const armAngle = (arm / params.arms) * Math.PI * 2;
+        const dist = random() * params.radius;
+        const spread = (1 - dist / params.radius) * params.spread;
+        const galaxyAngle = armAngle + (dist / params.radius) * Math.PI * 2 * params.twist;
+        return [
+            dist * Math.cos(galaxyAngle) + (random() - 0.5) * spread * params.radius,
+            (random() - 0.5) * spread * params.radius * 0.3,
+            dist * Math.sin(galaxyAngle) + (random() - 0.5) * spread * params.radius
+        ];
+    }), {
+        label: 'Galaxy',
+        preview: 'galaxy-preview',
+        params: {
+            radius: radius,
+            arms: { type: 'int', label: 'Arms', min: 1, max: 8, step: 1, default: 3 },
+            twist: { type: 'float', label: 'Twist', min: 0, max: 3, step: 0.1, default: 1 },
+            spread: { type: 'float', label: 'Spread', min: 0, max: 1.5, step: 0.05, default: 0.5 }
+        }
+    });
+
+    ParticleSystem.registerPattern('heart', (count, random, params) => fill(count, (i) => {
+        const ht = (i / count) * Math.PI * 2;
+        const heartScale = params.radius * 0.8;
+        const x = heartScale * 0.8 * (16 * Math.pow(Math.sin(ht), 3)) / 16;
+        const y = heartScale * 0.8 * (13 * Math.cos(ht) - 5 * Math.cos(2 * ht) - 2 * Math.cos(3 * ht) - Math.cos(4 * ht)) / 16;
+        const z = (random() - 0.5) * params.radius * params.depth;
+        // Add noise
+        return [x + (random() - 0.5) * params.noise, y + (random() - 0.5) * params.noise, z];
+    }), {
+        label: 'Heart',
+        preview: 'heart-preview',
+        params: {
+            radius: radius,
+            depth: { type: 'float', label: 'Depth', min: 0, max: 2, step: 0.05, default: 0.5 },
+            noise: noise(1.5)
+        }
+    });
+
+    ParticleSystem.registerPattern('dna', (count, random, params) => fill(count, (i) => {
+        const dnaT = (i / count) * Math.PI * 2 * params.twists;
+        const strand = i % 2;
+        const dnaRadius = params.radius * 0.4;
+        const dnaOffset = strand * Math.PI;
+        return [
+            dnaRadius * Math.cos(dnaT + dnaOffset) + (random() - 0.5) * params.noise,
+            (i / count - 0.5) * params.radius * params.length,
+            dnaRadius * Math.sin(dnaT + dnaOffset) + (random() - 0.5) * params.noise
+        ];
+    }), {
+        label: 'DNA',
+        preview: 'dna-preview',
+        params: {
+            radius: radius,
+            twists: { type: 'float', label: 'Twists', min: 0.5, max: 8, step: 0.5, default: 3 },
+            length: { type: 'float', label: 'Length', min: 1, max: 5, step: 0.1, default: 3 },
+            noise: noise(1)
+        }
+    });
+
+    ParticleSystem.registerPattern('wave', (count, random, params) => fill(count, (i) => {
+        const columns = params.columns;
+        const waveX = (i % columns) / columns - 0.5;
+        const waveZ = Math.floor(i / columns) / (count / columns) - 0.5;
+        const frequency = Math.PI * 2 * params.frequency;
+        const y = Math.sin(waveX * frequency) * Math.cos(waveZ * frequency) * params.radius * params.amplitude;
+        return [waveX * params.radius * 3, y + (random() - 0.5) * params.noise, waveZ * params.radius * 3];
+    }), {
+        label: 'Wave',
+        preview: 'wave-preview',
+        params: {
+            radius: radius,
+            columns: { type: 'int', label: 'Columns', min: 10, max: 300, step: 10, default: 100 },
+            frequency: { type: 'float', label: 'Frequency', min: 0.5, max: 6, step: 0.25, default: 2 },
+            amplitude: { type: 'float', label: 'Amplitude', min: 0, max: 1.5, step: 0.05, default: 0.5 },
+            noise: noise(1)
+        }
+    });
+})();
@@ -0,0 +1,379 @@
+/**
+ * Post Processing Module
+ * Screen-space render passes (trails, bloom) applied on top of the particle scene
+ */
+
+class PostProcessor {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.width = 1;
+        this.height = 1;
+
+        // Trails
+        this.trailsEnabled = false;
+        this.trailLength = 0.35; // Seconds until a bright pixel has faded out
+        this.trailDecay = 0.005; // Linear fade per 1/60 s, removes faint ghosting
+
+        // Bloom
+        this.bloomEnabled = true;
+        this.bloomStrength = 1.2;
+        this.bloomThreshold = 0.2;
+        this.bloomRadius = 0.4;
+        this.bloomLevels = 4; // Each level blurs at half the resolution of the previous one
+        this.bloomFactors = [1.0, 0.8, 0.6, 0.4];
+        this.bloomScale = 1; // Blur offsets in render-target pixels, offline renders widen them to their output size
+
+        // Full-screen quad used by every pass
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quadScene = new THREE.Scene();
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quadScene.add(this.quad);
+
+        this.backgroundColor = new THREE.Color(0x000000);
+
+        this.createTargets();
+        this.createMaterials();
+    }
+
+    createTargets() {
+        const size = new THREE.Vector2();
+        this.renderer.getDrawingBufferSize(size);
+        this.width = size.x;
+        this.height = size.y;
+
+        // Half float keeps slow fades from banding, when the GPU can render to it
+        const options = {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            type: this.renderer.capabilities.isWebGL2 ? THREE.HalfFloatType : THREE.UnsignedByteType,
+            depthBuffer: true,
+            stencilBuffer: false
+        };
+
+        this.sceneTarget = new THREE.WebGLRenderTarget(this.width, this.height, options);
+        this.trailRead = new THREE.WebGLRenderTarget(this.width, this.height, { ...options, depthBuffer: false });
+        this.trailWrite = new THREE.WebGLRenderTarget(this.width, this.height, { ...options, depthBuffer: false });
+
+        // Bloom mip chain: bright pass, then a horizontal and vertical blur target per level
+        const bloomOptions = { ...options, depthBuffer: false };
+        this.brightTarget = new THREE.WebGLRenderTarget(1, 1, bloomOptions);
+        this.bloomTargetsH = [];
+        this.bloomTargetsV = [];
+        for (let i = 0; i < this.bloomLevels; i++) {
+            this.bloomTargetsH.push(new THREE.WebGLRenderTarget(1, 1, bloomOptions));
+            this.bloomTargetsV.push(new THREE.WebGLRenderTarget(1, 1, bloomOptions));
+        }
+        this.setBloomTargetSizes();
+    }
+
+    setBloomTargetSizes() {
+        let width = Math.max(Math.round(this.width / 2), 1);
+        let height = Math.max(Math.round(this.height / 2), 1);
+        this.brightTarget.setSize(width, height);
+
+        for (let i = 0; i < this.bloomLevels; i++) {
+            this.bloomTargetsH[i].setSize(width, height);
+            this.bloomTargetsV[i].setSize(width, height);
+            width = Math.max(Math.round(width / 2), 1);
+            height = Math.max(Math.round(height / 2), 1);
+        }
+    }
+
+    createMaterials() {
+        const vertexShader = `
+            varying vec2 vUv;
+
+            void main() {
+                vUv = uv;
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+            }
+        `;
+
+        // Keeps the brighter of the current frame and the faded history
+        this.trailMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tCurrent: { value: null },
+                tPrevious: { value: null },
+                persistence: { value: this.getTrailPersistence(1 / 60) },
+                decay: { value: this.trailDecay }
+            },
+            vertexShader: vertexShader,
+            fragmentShader: `
+                uniform sampler2D tCurrent;
+                uniform sampler2D tPrevious;
+                uniform float persistence;
+                uniform float decay;
+                varying vec2 vUv;
+
+                void main() {
+                    vec4 current = texture2D(tCurrent, vUv);
+                    vec4 previous = max(texture2D(tPrevious, vUv) * persistence - decay, 0.0);
+                    gl_FragColor = max(current, previous);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        // Keeps only the light above the threshold, with a soft knee
+        this.brightMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tDiffuse: { value: null },
+                threshold: { value: this.bloomThreshold }
+            },
+            vertexShader: vertexShader,
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform float threshold;
+                varying vec2 vUv;
+
+                void main() {
+                    vec3 color = texture2D(tDiffuse, vUv).rgb;
+                    float brightness = max(color.r, max(color.g, color.b));
+                    float knee = smoothstep(threshold, threshold + 0.1, brightness);
+                    gl_FragColor = vec4(color * knee, 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        // 9-tap separable gaussian, run once per direction and mip level
+        this.blurMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tDiffuse: { value: null },
+                direction: { value: new THREE.Vector2(1, 0) },
+                texelSize: { value: new THREE.Vector2(1, 1) }
+            },
+            vertexShader: vertexShader,
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform vec2 direction;
+                uniform vec2 texelSize;
+                varying vec2 vUv;
+
+                void main() {
+                    vec2 offset = direction * texelSize;
+                    vec3 color = texture2D(tDiffuse, vUv).rgb * 0.227027;
+                    color += texture2D(tDiffuse, vUv + offset * 1.0).rgb * 0.1945946;
+                    color += texture2D(tDiffuse, vUv - offset * 1.0).rgb * 0.1945946;
+                    color += texture2D(tDiffuse, vUv + offset * 2.0).rgb * 0.1216216;
+                    color += texture2D(tDiffuse, vUv - offset * 2.0).rgb * 0.1216216;
+                    color += texture2D(tDiffuse, vUv + offset * 3.0).rgb * 0.054054;
+                    color += texture2D(tDiffuse, vUv - offset * 3.0).rgb * 0.054054;
+                    color += texture2D(tDiffuse, vUv + offset * 4.0).rgb * 0.016216;
+                    color += texture2D(tDiffuse, vUv - offset * 4.0).rgb * 0.016216;
+                    gl_FragColor = vec4(color, 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        // Puts the particle image and its bloom over the scene background
+        this.compositeMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tDiffuse: { value: null },
+                tBloom0: { value: this.bloomTargetsV[0].texture },
+                tBloom1: { value: this.bloomTargetsV[1].texture },
+                tBloom2: { value: this.bloomTargetsV[2].texture },
+                tBloom3: { value: this.bloomTargetsV[3].texture },
+                bloomFactors: { value: this.getBloomFactors() },
+                bloomStrength: { value: 0 },
+                backgroundColor: { value: this.backgroundColor }
+            },
+            vertexShader: vertexShader,
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                uniform sampler2D tBloom0;
+                uniform sampler2D tBloom1;
+                uniform sampler2D tBloom2;
+                uniform sampler2D tBloom3;
+                uniform float bloomFactors[4];
+                uniform float bloomStrength;
+                uniform vec3 backgroundColor;
+                varying vec2 vUv;
+
+                void main() {
+                    vec3 bloom = texture2D(tBloom0, vUv).rgb * bloomFactors[0]
+                        + texture2D(tBloom1, vUv).rgb * bloomFactors[1]
+                        + texture2D(tBloom2, vUv).rgb * bloomFactors[2]
+                        + texture2D(tBloom3, vUv).rgb * bloomFactors[3];
+
+                    vec3 color = backgroundColor + texture2D(tDiffuse, vUv).rgb + bloom * bloomStrength;
+                    gl_FragColor = vec4(min(color, 1.0), 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+    }
+
+    getTrailPersistence(delta) {
+        // Multiplier for a frame of delta seconds, takes a full-brightness pixel below one 8-bit step after trailLength seconds
+        return Math.pow(1 / 255, delta / Math.max(this.trailLength, 0.01));
+    }
+
+    getBloomFactors() {
+        // Radius shifts weight from the sharp levels towards the wide ones
+        return this.bloomFactors.map(factor => {
+            const mirrored = 1.2 - factor;
+            return factor + (mirrored - factor) * this.bloomRadius;
+        });
+    }
+
+    isActive() {
+        return this.trailsEnabled || this.bloomEnabled;
+    }
+
+    // delta is the frame's length in seconds, so trails fade at the same rate at any frame rate
+    render(scene, camera, delta = 1 / 60) {
+        if (!this.isActive()) {
+            this.renderer.setRenderTarget(null);
+            this.renderer.render(scene, camera);
+            return;
+        }
+
+        // Render particles on black so passes only carry their light
+        const background = scene.background;
+        if (background && background.isColor) {
+            this.backgroundColor.copy(background);
+        }
+        scene.background = null;
+        this.renderer.setRenderTarget(this.sceneTarget);
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.clear();
+        this.renderer.render(scene, camera);
+        scene.background = background;
+
+        let output = this.sceneTarget;
+
+        if (this.trailsEnabled) {
+            this.trailMaterial.uniforms.persistence.value = this.getTrailPersistence(delta);
+            this.trailMaterial.uniforms.decay.value = this.trailDecay * delta * 60;
+            this.trailMaterial.uniforms.tCurrent.value = output.texture;
+            this.trailMaterial.uniforms.tPrevious.value = this.trailRead.texture;
+            this.renderPass(this.trailMaterial, this.trailWrite);
+
+            const swap = this.trailRead;
+            this.trailRead = this.trailWrite;
+            this.trailWrite = swap;
+            output = this.trailRead;
+        }
+
+        if (this.bloomEnabled) {
+            this.renderBloom(output);
+        }
+
+        this.compositeMaterial.uniforms.tDiffuse.value = output.texture;
+        this.compositeMaterial.uniforms.bloomStrength.value = this.bloomEnabled ? this.bloomStrength : 0;
+        this.renderPass(this.compositeMaterial, null);
+    }
+
+    renderBloom(source) {
+        this.brightMaterial.uniforms.tDiffuse.value = source.texture;
+        this.renderPass(this.brightMaterial, this.brightTarget);
+
+        let input = this.brightTarget;
+        for (let i = 0; i < this.bloomLevels; i++) {
+            const horizontal = this.bloomTargetsH[i];
+            const vertical = this.bloomTargetsV[i];
+            this.blurMaterial.uniforms.texelSize.value.set(this.bloomScale / horizontal.width, this.bloomScale / horizontal.height);
+
+            this.blurMaterial.uniforms.tDiffuse.value = input.texture;
+            this.blurMaterial.uniforms.direction.value.set(1, 0);
+            this.renderPass(this.blurMaterial, horizontal);
+
+            this.blurMaterial.uniforms.tDiffuse.value = horizontal.texture;
+            this.blurMaterial.uniforms.direction.value.set(0, 1);
+            this.renderPass(this.blurMaterial, vertical);
+
+            input = vertical;
+        }
+    }
+
+    renderPass(material, target) {
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.quadScene, this.quadCamera);
+    }
+
+    clearTrails() {
+        const currentTarget = this.renderer.getRenderTarget();
+        this.renderer.setClearColor(0x000000, 0);
+        for (const target of [this.trailRead, this.trailWrite]) {
+            this.renderer.setRenderTarget(target);
+            this.renderer.clear();
+        }
+        this.renderer.setRenderTarget(currentTarget);
+    }
+
+    setTrailsEnabled(enabled) {
+        // Start from an empty history so stale frames don't flash in
+        if (enabled && !this.trailsEnabled) {
+            this.clearTrails();
+        }
+        this.trailsEnabled = enabled;
+    }
+
+    setTrailLength(seconds) {
+        this.trailLength = seconds;
+    }
+
+    setTrailDecay(decay) {
+        this.trailDecay = decay;
+    }
+
+    setBloomEnabled(enabled) {
+        this.bloomEnabled = enabled;
+    }
+
+    setBloomStrength(strength) {
+        this.bloomStrength = strength;
+    }
+
+    setBloomThreshold(threshold) {
+        this.bloomThreshold = threshold;
+        this.brightMaterial.uniforms.threshold.value = threshold;
+    }
+
+    setBloomRadius(radius) {
+        this.bloomRadius = radius;
+        this.compositeMaterial.uniforms.bloomFactors.value = this.getBloomFactors();
+    }
+
+    setBloomScale(scale) {
+        this.bloomScale = scale;
+    }
+
+    setSize() {
+        const size = new THREE.Vector2();
+        this.renderer.getDrawingBufferSize(size);
+        this.width = size.x;
+        this.height = size.y;
+
+        this.sceneTarget.setSize(this.width, this.height);
+        this.trailRead.setSize(this.width, this.height);
+        this.trailWrite.setSize(this.width, this.height);
+        this.setBloomTargetSizes();
+        this.clearTrails();
+    }
+
+    dispose() {
+        this.sceneTarget.dispose();
+        this.trailRead.dispose();
+        this.trailWrite.dispose();
+        this.brightTarget.dispose();
+        this.bloomTargetsH.forEach(target => target.dispose());
+        this.bloomTargetsV.forEach(target => target.dispose());
+        this.trailMaterial.dispose();
+        this.brightMaterial.dispose();
+        this.blurMaterial.dispose();
+        this.compositeMaterial.dispose();
+        this.quad.geometry.dispose();
+    }
+}
+
+// Export for use in other modules
+window.PostProcessor = PostProcessor;
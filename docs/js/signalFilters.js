@@ -0,0 +1,180 @@
+/**
+ * Signal Filters Module
+ * Time-aware smoothing for tracked values: One Euro, constant-velocity Kalman and plain EMA filters
+ */
+
+class EmaFilter {
+    constructor(params) {
+        this.params = params; // Shared with the bank, so tuning applies to running filters
+        this.value = null;
+    }
+
+    // Smoothing factor of a first-order low-pass at cutoff Hz, for a sample dt seconds after the last
+    static getAlpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    filter(value, dt) {
+        if (this.value === null) {
+            this.value = value;
+        } else {
+            this.value += (value - this.value) * EmaFilter.getAlpha(this.params.cutoff, dt);
+        }
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+    }
+}
+
+// Low cutoff while still (no jitter), rising with speed (no lag). Casiez et al., CHI 2012
+class OneEuroFilter {
+    constructor(params) {
+        this.params = params;
+        this.value = null;
+        this.derivative = 0;
+    }
+
+    filter(value, dt) {
+        if (this.value === null) {
+            this.value = value;
+            this.derivative = 0;
+            return value;
+        }
+
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += (rawDerivative - this.derivative) * EmaFilter.getAlpha(this.params.derivativeCutoff, dt);
+
+        const cutoff = this.params.minCutoff + this.params.beta * Math.abs(this.derivative);
+        this.value += (value - this.value) * EmaFilter.getAlpha(cutoff, dt);
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+    }
+}
+
+// Tracks value and velocity, so steady motion is followed without lag
+class KalmanFilter {
+    constructor(params) {
+        this.params = params;
+        this.value = null;
+        this.velocity = 0;
+
+        // State covariance, symmetric so three terms
+        this.p00 = 0;
+        this.p01 = 0;
+        this.p11 = 0;
+    }
+
+    filter(value, dt) {
+        // Noise parameters are standard deviations: acceleration in units/s², measurement in units
+        const q = this.params.processNoise * this.params.processNoise;
+        const r = this.params.measurementNoise * this.params.measurementNoise;
+
+        if (this.value === null) {
+            this.value = value;
+            this.velocity = 0;
+            this.p00 = r;
+            this.p01 = 0;
+            this.p11 = 1; // Unknown starting speed
+            return value;
+        }
+
+        // Predict
+        this.value += this.velocity * dt;
+        this.p00 += dt * (2 * this.p01 + dt * this.p11) + q * dt * dt * dt * dt / 4;
+        this.p01 += dt * this.p11 + q * dt * dt * dt / 2;
+        this.p11 += q * dt * dt;
+
+        // Correct with the measurement
+        const innovation = value - this.value;
+        const gainValue = this.p00 / (this.p00 + r);
+        const gainVelocity = this.p01 / (this.p00 + r);
+        this.value += gainValue * innovation;
+        this.velocity += gainVelocity * innovation;
+
+        this.p11 -= gainVelocity * this.p01;
+        this.p01 -= gainValue * this.p01;
+        this.p00 -= gainValue * this.p00;
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+    }
+}
+
+// One filter per named signal, created on first use with the bank's current type and parameters
+class SignalFilterBank {
+    constructor(type = 'oneEuro') {
+        this.type = type;
+        this.params = {
+            minCutoff: 1, // One Euro: Hz while still
+            beta: 3, // One Euro: cutoff gained per unit/s of speed
+            derivativeCutoff: 1, // One Euro: Hz, for the speed estimate
+            processNoise: 2, // Kalman
+            measurementNoise: 0.01, // Kalman
+            cutoff: 2 // EMA: Hz
+        };
+        this.maxGap = 0.5; // Seconds without samples before a signal starts afresh
+
+        this.filters = {}; // { filter, time } by signal key
+    }
+
+    // Timestamps are in ms, as from performance.now()
+    filter(key, value, timestamp) {
+        const Filter = SignalFilterBank.types[this.type];
+        if (!Filter) return value;
+
+        let entry = this.filters[key];
+        if (!entry) {
+            entry = this.filters[key] = { filter: new Filter(this.params), time: timestamp };
+        }
+
+        const dt = (timestamp - entry.time) / 1000;
+        entry.time = timestamp;
+        if (dt <= 0 || dt > this.maxGap) {
+            entry.filter.reset();
+        }
+        return entry.filter.filter(value, dt);
+    }
+
+    setType(type) {
+        this.type = type;
+        this.reset();
+    }
+
+    setParams(params) {
+        Object.assign(this.params, params);
+    }
+
+    // Drops the signals whose keys start with prefix
+    remove(prefix) {
+        for (const key of Object.keys(this.filters)) {
+            if (key.startsWith(prefix)) {
+                delete this.filters[key];
+            }
+        }
+    }
+
+    reset() {
+        this.filters = {};
+    }
+}
+
+// 'none' passes values through
+SignalFilterBank.types = {
+    oneEuro: OneEuroFilter,
+    kalman: KalmanFilter,
+    ema: EmaFilter
+};
+
+// Export for use in other modules
+window.EmaFilter = EmaFilter;
+window.OneEuroFilter = OneEuroFilter;
+window.KalmanFilter = KalmanFilter;
+window.SignalFilterBank = SignalFilterBank;
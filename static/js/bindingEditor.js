@@ -0,0 +1,177 @@
+/**
+ * Binding Editor Module
+ * Control panel UI for editing, saving and sharing gesture bindings
+ */
+
+class BindingEditor {
+    constructor(listElement, bindings) {
+        this.list = listElement;
+        this.bindings = bindings;
+
+        this.bindings.onChange = () => {
+            this.bindings.save();
+            this.render();
+        };
+
+        this.render();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.bindings.bindings.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'binding-empty';
+            empty.textContent = 'No bindings, gestures only show tracking.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        for (const binding of this.bindings.bindings) {
+            this.list.appendChild(this.createRow(binding));
+        }
+    }
+
+    createRow(binding) {
+        const info = this.bindings.targets[binding.target];
+        const update = (changes) => this.bindings.updateBinding(binding.id, changes);
+
+        const row = document.createElement('div');
+        row.className = 'binding-row';
+
+        // Signal -> target
+        const mapping = document.createElement('div');
+        mapping.className = 'binding-line';
+        mapping.appendChild(this.createSelect(this.getSignalOptions(), binding.signal, (value) => update({ signal: value })));
+        const arrow = document.createElement('span');
+        arrow.className = 'binding-arrow';
+        arrow.textContent = '→';
+        mapping.appendChild(arrow);
+        mapping.appendChild(this.createSelect(this.getTargetOptions(), binding.target, (value) => update({ target: value })));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'binding-remove';
+        removeBtn.title = 'Remove Binding';
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => this.bindings.removeBinding(binding.id));
+        mapping.appendChild(removeBtn);
+        row.appendChild(mapping);
+
+        // Hand, curve and invert
+        const shaping = document.createElement('div');
+        shaping.className = 'binding-line';
+        shaping.appendChild(this.createSelect([
+            { value: 'primary', label: 'Primary hand' },
+            { value: 'Left', label: 'Left hand' },
+            { value: 'Right', label: 'Right hand' }
+        ], binding.hand, (value) => update({ hand: value })));
+        shaping.appendChild(this.createSelect(
+            Object.keys(this.bindings.curves).map(curve => ({ value: curve, label: curve })),
+            binding.curve,
+            (value) => update({ curve: value })
+        ));
+
+        const invert = document.createElement('label');
+        invert.className = 'binding-invert';
+        const invertInput = document.createElement('input');
+        invertInput.type = 'checkbox';
+        invertInput.checked = binding.invert;
+        invertInput.addEventListener('change', (e) => update({ invert: e.target.checked }));
+        invert.appendChild(invertInput);
+        invert.appendChild(document.createTextNode('Invert'));
+        shaping.appendChild(invert);
+        row.appendChild(shaping);
+
+        // Output range for continuous targets, argument for actions
+        const output = document.createElement('div');
+        output.className = 'binding-line';
+        if (info.type === 'action') {
+            if (info.arg !== undefined) {
+                output.appendChild(this.createInput('text', binding.arg, 'Argument', (value) => update({ arg: value })));
+                row.appendChild(output);
+            }
+        } else {
+            output.appendChild(this.createInput('number', binding.min, 'Min', (value) => update({ min: parseFloat(value) || 0 })));
+            output.appendChild(this.createInput('number', binding.max, 'Max', (value) => update({ max: parseFloat(value) || 0 })));
+            row.appendChild(output);
+        }
+
+        return row;
+    }
+
+    getSignalOptions() {
+        const options = Object.keys(this.bindings.signals).map(signal => ({
+            value: signal,
+            label: this.bindings.signals[signal].label
+        }));
+        for (const name of this.bindings.poseNames) {
+            options.push({ value: `pose:${name}`, label: `Pose: ${name}` });
+        }
+        for (const name of this.bindings.motionNames) {
+            options.push({ value: `motion:${name}`, label: `Motion: ${name}` });
+        }
+        return options;
+    }
+
+    getTargetOptions() {
+        return Object.keys(this.bindings.targets).map(target => ({
+            value: target,
+            label: this.bindings.targets[target].label
+        }));
+    }
+
+    createSelect(options, value, onChange) {
+        const select = document.createElement('select');
+        for (const option of options) {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        }
+        select.value = value;
+        select.addEventListener('change', (e) => onChange(e.target.value));
+        return select;
+    }
+
+    createInput(type, value, placeholder, onChange) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        input.placeholder = placeholder;
+        input.title = placeholder;
+        if (type === 'number') {
+            input.step = 'any';
+        }
+        input.addEventListener('change', (e) => onChange(e.target.value));
+        return input;
+    }
+
+    exportBindings() {
+        const json = JSON.stringify(this.bindings.toJSON(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gesture-bindings-${Date.now()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    importBindings(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.bindings.fromJSON(JSON.parse(reader.result));
+            } catch (err) {
+                console.error('Bindings import error:', err);
+                alert('Could not import bindings: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+}
+
+// Export for use in other modules
+window.BindingEditor = BindingEditor;
@@ -0,0 +1,264 @@
+/**
+ * Camera Controls Module
+ * Orbit, pan and zoom with inertia, auto-orbit, and hand-driven yaw/pitch/dolly
+ */
+
+class CameraControls {
+    constructor(camera, element) {
+        this.camera = camera;
+        this.element = element;
+
+        // Orbit state around the target: theta = yaw, phi = angle from the up axis
+        this.defaults = { target: [0, 0, 0], radius: 50, theta: 0, phi: Math.PI / 2 };
+        this.target = new THREE.Vector3();
+        this.radius = 50;
+        this.theta = 0;
+        this.phi = Math.PI / 2;
+        this.minRadius = 10;
+        this.maxRadius = 200;
+
+        // Inertia: velocities keep going after release and decay at this rate per second
+        this.damping = 5;
+        this.velocity = { theta: 0, phi: 0, zoom: 0, panX: 0, panY: 0 };
+        this.rotateSpeed = 4; // Radians per screen height dragged
+        this.zoomSpeed = 0.1; // Share of the distance per wheel notch
+
+        this.autoOrbit = false;
+        this.autoOrbitSpeed = 0.2; // Radians per second
+
+        // Hand camera: offsets added on top of the orbit, eased towards the latest hand pose
+        this.handControl = false;
+        this.handOffset = { theta: 0, phi: 0, dolly: 1 };
+        this.handTarget = { theta: 0, phi: 0, dolly: 1 };
+        this.handReference = null; // Palm size when the hand appeared, sets the dolly baseline
+        this.handSmoothing = 4;
+
+        // Pointer input, restricted while the mouse or touch input source drives the particles
+        this.enabled = true;
+        this.requireModifier = false; // Mouse orbits only with Shift held
+        this.touchEnabled = true;
+        this.pointers = new Map();
+        this.pinchDistance = 0;
+
+        this.handlers = {
+            pointerdown: (e) => this.onPointerDown(e),
+            pointermove: (e) => this.onPointerMove(e),
+            pointerup: (e) => this.onPointerUp(e),
+            pointercancel: (e) => this.onPointerUp(e),
+            wheel: (e) => this.onWheel(e),
+            contextmenu: (e) => e.preventDefault()
+        };
+        for (const type of Object.keys(this.handlers)) {
+            this.element.addEventListener(type, this.handlers[type], { passive: type !== 'wheel' });
+        }
+        this.element.style.touchAction = 'none';
+
+        this.apply();
+    }
+
+    accepts(e) {
+        if (!this.enabled) return false;
+        if (e.pointerType === 'touch') return this.touchEnabled;
+        return !this.requireModifier || e.shiftKey;
+    }
+
+    onPointerDown(e) {
+        if (!this.accepts(e)) return;
+        this.element.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, button: e.button, time: performance.now() });
+        this.velocity = { theta: 0, phi: 0, zoom: 0, panX: 0, panY: 0 };
+        this.pinchDistance = this.getPinchDistance();
+    }
+
+    onPointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        const height = this.element.clientHeight || 1;
+        const dx = (e.clientX - pointer.x) / height;
+        const dy = (e.clientY - pointer.y) / height;
+        const now = performance.now();
+        const frame = Math.max((now - pointer.time) / 1000, 1 / 120); // Seconds since the last move
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        pointer.time = now;
+
+        if (this.pointers.size >= 2) {
+            // Two fingers: pinch zooms, moving both pans (each finger reports half the motion)
+            const distance = this.getPinchDistance();
+            if (this.pinchDistance > 0 && distance > 0) {
+                this.zoom(Math.log(this.pinchDistance / distance));
+            }
+            this.pinchDistance = distance;
+            this.pan(dx / 2, dy / 2);
+            this.velocity.panX = dx / 2 / frame;
+            this.velocity.panY = dy / 2 / frame;
+        } else if (pointer.button === 2 || (pointer.button === 0 && e.ctrlKey)) {
+            this.pan(dx, dy);
+            this.velocity.panX = dx / frame;
+            this.velocity.panY = dy / frame;
+        } else {
+            this.rotate(-dx * this.rotateSpeed, -dy * this.rotateSpeed);
+            this.velocity.theta = -dx * this.rotateSpeed / frame;
+            this.velocity.phi = -dy * this.rotateSpeed / frame;
+        }
+    }
+
+    onPointerUp(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+        // Held still before release: no throw
+        if (performance.now() - pointer.time > 100) {
+            this.velocity = { theta: 0, phi: 0, zoom: this.velocity.zoom, panX: 0, panY: 0 };
+        }
+        this.pointers.delete(e.pointerId);
+        this.pinchDistance = this.getPinchDistance();
+    }
+
+    onWheel(e) {
+        if (!this.enabled || (this.requireModifier && !e.shiftKey)) return;
+        e.preventDefault();
+        // Some browsers report Shift+wheel as horizontal scrolling
+        const delta = e.deltaY || e.deltaX;
+        this.velocity.zoom += Math.sign(delta) * this.zoomSpeed * 10;
+    }
+
+    getPinchDistance() {
+        if (this.pointers.size < 2) return 0;
+        const [a, b] = Array.from(this.pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    rotate(dTheta, dPhi) {
+        this.theta += dTheta;
+        this.phi = Math.max(0.05, Math.min(Math.PI - 0.05, this.phi + dPhi));
+    }
+
+    // Positive amounts move away, in log space so zoom feels even at any distance
+    zoom(amount) {
+        this.radius = Math.max(this.minRadius, Math.min(this.maxRadius, this.radius * Math.exp(amount)));
+    }
+
+    // Moves the target in the view plane, dx/dy in screen heights
+    pan(dx, dy) {
+        const scale = 2 * this.radius * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 1);
+        this.target.addScaledVector(right, -dx * scale);
+        this.target.addScaledVector(up, dy * scale);
+    }
+
+    setHandControl(enabled) {
+        this.handControl = enabled;
+        if (!enabled) {
+            this.releaseHand();
+        }
+    }
+
+    // Yaw from the wrist-to-middle-finger tilt, pitch from its depth slope, dolly from the palm's apparent size.
+    // MediaPipe gives z relative to the wrist, so the size of the palm stands in for the hand's distance
+    setHandPose(landmarks) {
+        if (!this.handControl || !landmarks) return;
+
+        const wrist = landmarks[0];
+        const middle = landmarks[9];
+        const dx = middle.x - wrist.x;
+        const dy = wrist.y - middle.y;
+        const palm = Math.hypot(dx, dy) || 1e-6;
+        if (this.handReference === null) {
+            this.handReference = palm;
+        }
+
+        this.handTarget.theta = Math.max(-1.2, Math.min(1.2, Math.atan2(dx, dy))) * 1.5;
+        this.handTarget.phi = Math.max(-1, Math.min(1, Math.atan2(wrist.z - middle.z, palm)));
+        // A hand twice as large (closer) halves the distance
+        this.handTarget.dolly = Math.max(0.4, Math.min(2.5, this.handReference / palm));
+    }
+
+    releaseHand() {
+        this.handTarget = { theta: 0, phi: 0, dolly: 1 };
+        this.handReference = null;
+    }
+
+    update(delta) {
+        const decay = Math.exp(-this.damping * delta);
+
+        // Inertia while no pointer holds the camera
+        if (this.pointers.size === 0) {
+            this.rotate(this.velocity.theta * delta, this.velocity.phi * delta);
+            this.pan(this.velocity.panX * delta, this.velocity.panY * delta);
+            this.velocity.theta *= decay;
+            this.velocity.phi *= decay;
+            this.velocity.panX *= decay;
+            this.velocity.panY *= decay;
+
+            if (this.autoOrbit) {
+                this.theta += this.autoOrbitSpeed * delta;
+            }
+        }
+        this.zoom(this.velocity.zoom * delta);
+        this.velocity.zoom *= decay;
+
+        const ease = 1 - Math.exp(-this.handSmoothing * delta);
+        this.handOffset.theta += (this.handTarget.theta - this.handOffset.theta) * ease;
+        this.handOffset.phi += (this.handTarget.phi - this.handOffset.phi) * ease;
+        this.handOffset.dolly += (this.handTarget.dolly - this.handOffset.dolly) * ease;
+
+        this.apply();
+    }
+
+    apply() {
+        const theta = this.theta + this.handOffset.theta;
+        const phi = Math.max(0.05, Math.min(Math.PI - 0.05, this.phi - this.handOffset.phi));
+        const radius = Math.max(this.minRadius, Math.min(this.maxRadius, this.radius * this.handOffset.dolly));
+
+        this.camera.position.set(
+            radius * Math.sin(phi) * Math.sin(theta),
+            radius * Math.cos(phi),
+            radius * Math.sin(phi) * Math.cos(theta)
+        ).add(this.target);
+        this.camera.lookAt(this.target);
+        this.camera.updateMatrixWorld();
+    }
+
+    // Plain values, saved with presets
+    getState() {
+        return {
+            target: this.target.toArray(),
+            radius: this.radius,
+            theta: this.theta,
+            phi: this.phi,
+            autoOrbit: this.autoOrbit,
+            autoOrbitSpeed: this.autoOrbitSpeed
+        };
+    }
+
+    setState(state) {
+        const next = { ...this.defaults, autoOrbit: this.autoOrbit, autoOrbitSpeed: this.autoOrbitSpeed, ...state };
+        this.target.fromArray(next.target);
+        this.radius = Math.max(this.minRadius, Math.min(this.maxRadius, next.radius));
+        this.theta = next.theta;
+        this.phi = Math.max(0.05, Math.min(Math.PI - 0.05, next.phi));
+        this.autoOrbit = !!next.autoOrbit;
+        this.autoOrbitSpeed = next.autoOrbitSpeed;
+        this.velocity = { theta: 0, phi: 0, zoom: 0, panX: 0, panY: 0 };
+        this.apply();
+    }
+
+    reset() {
+        this.setState({ ...this.defaults });
+        this.handOffset = { theta: 0, phi: 0, dolly: 1 };
+        this.releaseHand();
+        this.apply();
+    }
+
+    dispose() {
+        for (const type of Object.keys(this.handlers)) {
+            this.element.removeEventListener(type, this.handlers[type]);
+        }
+        this.pointers.clear();
+    }
+}
+
+// Export for use in other modules
+window.CameraControls = CameraControls;
@@ -0,0 +1,293 @@
+/**
+ * Gesture Bindings Module
+ * Configurable mapping from gesture signals to particle parameters and app actions
+ */
+
+class GestureBindings {
+    constructor() {
+        // Continuous signals read from a hand, each normalized to 0-1 (null when unavailable)
+        this.signals = {
+            openness: { label: 'Hand Openness', read: (hand) => hand.openness },
+            handX: { label: 'Hand X', read: (hand) => hand.position.x },
+            handY: { label: 'Hand Y', read: (hand) => hand.position.y },
+            pinchDistance: { label: 'Pinch Distance', read: (hand) => this.readPinchDistance(hand) },
+            handRotation: { label: 'Hand Rotation', read: (hand) => this.readHandRotation(hand) }
+        };
+
+        // Named poses and motions from GestureClassifier, 1 while active
+        this.poseNames = ['pinch', 'ok', 'point', 'victory', 'thumbsUp', 'thumbsDown'];
+        this.motionNames = ['swipeLeft', 'swipeRight', 'swipeUp', 'swipeDown', 'circle', 'push', 'pull'];
+
+        // Influence targets feed the particle scale/steering, params drive panel sliders,
+        // actions fire when the mapped signal rises above one half
+        this.targets = {
+            influenceOpenness: { label: 'Particle Spread', type: 'influence', min: 0, max: 1 },
+            influenceX: { label: 'Steer X', type: 'influence', min: 0, max: 1 },
+            influenceY: { label: 'Steer Y', type: 'influence', min: 0, max: 1 },
+            particleSize: { label: 'Particle Size', type: 'param', min: 0.5, max: 6 },
+            animationSpeed: { label: 'Animation Speed', type: 'param', min: 0.1, max: 3 },
+            gestureSensitivity: { label: 'Sensitivity', type: 'param', min: 0.5, max: 2 },
+            bloomStrength: { label: 'Bloom Strength', type: 'param', min: 0, max: 3 },
+            bloomThreshold: { label: 'Bloom Threshold', type: 'param', min: 0, max: 1 },
+            bloomRadius: { label: 'Bloom Radius', type: 'param', min: 0, max: 1 },
+            trailLength: { label: 'Trail Length', type: 'param', min: 0.1, max: 2 },
+            trailDecay: { label: 'Trail Decay', type: 'param', min: 0, max: 0.05 },
+            springStiffness: { label: 'Spring Stiffness', type: 'param', min: 2, max: 60 },
+            damping: { label: 'Damping', type: 'param', min: 0, max: 15 },
+            handForce: { label: 'Hand Force', type: 'param', min: 0, max: 400 },
+            morphDuration: { label: 'Morph Duration', type: 'param', min: 0, max: 4 },
+            audioReactivity: { label: 'Audio Reactivity', type: 'param', min: 0, max: 2 },
+            autoOrbitSpeed: { label: 'Orbit Speed', type: 'param', min: -1, max: 1 },
+            timeScale: { label: 'Time Scale', type: 'param', min: 0.1, max: 2 },
+            setPattern: { label: 'Set Pattern', type: 'action', arg: 'next' },
+            setColors: { label: 'Set Colors', type: 'action', arg: 'next' },
+            setAnimationSpeed: { label: 'Set Animation Speed', type: 'action', arg: '1' },
+            takeScreenshot: { label: 'Take Screenshot', type: 'action' },
+            toggleTrails: { label: 'Toggle Trails', type: 'action' },
+            toggleBloom: { label: 'Toggle Bloom', type: 'action' },
+            togglePause: { label: 'Pause / Resume', type: 'action' }
+        };
+
+        this.curves = {
+            linear: (t) => t,
+            easeIn: (t) => t * t,
+            easeOut: (t) => 1 - (1 - t) * (1 - t),
+            smooth: (t) => t * t * (3 - 2 * t),
+            step: (t) => (t >= 0.5 ? 1 : 0)
+        };
+
+        this.bindings = [];
+        this.nextId = 1;
+        this.lastValues = {}; // Previous mapped value per binding, for action edges
+
+        // Called whenever the binding list changes
+        this.onChange = null;
+
+        this.setBindings(this.getDefaultBindings());
+    }
+
+    getDefaultBindings() {
+        return [
+            { signal: 'openness', target: 'influenceOpenness' },
+            { signal: 'handX', target: 'influenceX' },
+            { signal: 'handY', target: 'influenceY' },
+            { signal: 'pose:victory', target: 'setPattern', arg: 'next' },
+            { signal: 'pose:thumbsUp', target: 'takeScreenshot' },
+            { signal: 'motion:swipeLeft', target: 'setColors', arg: 'previous' },
+            { signal: 'motion:swipeRight', target: 'setColors', arg: 'next' }
+        ];
+    }
+
+    isSignal(signal) {
+        if (typeof signal !== 'string') return false;
+        const [kind, name] = signal.split(':');
+        if (kind === 'pose') return this.poseNames.includes(name);
+        if (kind === 'motion') return this.motionNames.includes(name);
+        return !!this.signals[signal];
+    }
+
+    // Bindings come from files and storage too, so anything unknown falls back to the defaults
+    createBinding(binding = {}) {
+        const target = this.targets[binding.target] ? binding.target : 'influenceOpenness';
+        const info = this.targets[target];
+        // "0.5" counts as a number, null and "" don't
+        const toNumber = (value, fallback) => {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            return typeof number === 'number' && Number.isFinite(number) ? number : fallback;
+        };
+
+        return {
+            id: this.nextId++,
+            signal: this.isSignal(binding.signal) ? binding.signal : 'openness',
+            target: target,
+            hand: ['primary', 'Left', 'Right'].includes(binding.hand) ? binding.hand : 'primary',
+            min: toNumber(binding.min, info.min),
+            max: toNumber(binding.max, info.max),
+            curve: this.curves[binding.curve] ? binding.curve : 'linear',
+            invert: !!binding.invert,
+            arg: binding.arg !== undefined ? String(binding.arg) : (info.arg || '')
+        };
+    }
+
+    setBindings(bindings) {
+        this.bindings = bindings
+            .filter(binding => binding && typeof binding === 'object')
+            .map(binding => this.createBinding(binding));
+        this.lastValues = {};
+        this.notifyChange();
+    }
+
+    addBinding(binding) {
+        const created = this.createBinding(binding);
+        this.bindings.push(created);
+        this.notifyChange();
+        return created;
+    }
+
+    updateBinding(id, changes) {
+        const binding = this.bindings.find(b => b.id === id);
+        if (!binding) return;
+
+        // Switching target resets the range to the new target's defaults
+        if (changes.target && changes.target !== binding.target) {
+            const info = this.targets[changes.target];
+            binding.min = info.min;
+            binding.max = info.max;
+            binding.arg = info.arg || '';
+        }
+        Object.assign(binding, changes);
+        delete this.lastValues[id];
+        this.notifyChange();
+    }
+
+    removeBinding(id) {
+        this.bindings = this.bindings.filter(b => b.id !== id);
+        delete this.lastValues[id];
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.bindings);
+        }
+    }
+
+    readSignal(signal, hand, recognised) {
+        if (!hand) return null;
+
+        if (signal.startsWith('pose:') || signal.startsWith('motion:')) {
+            const [kind, name] = signal.split(':');
+            const result = recognised && recognised[hand.handedness];
+            const active = result && result[kind];
+            return active && active.name === name ? 1 : 0;
+        }
+
+        const info = this.signals[signal];
+        return info ? info.read(hand) : null;
+    }
+
+    readPinchDistance(hand) {
+        if (!hand.landmarks) return null;
+        const landmarks = hand.landmarks;
+        const palmSize = this.distance(landmarks[0], landmarks[9]) || 1e-6;
+        return Math.min(this.distance(landmarks[4], landmarks[8]) / palmSize / 1.5, 1);
+    }
+
+    readHandRotation(hand) {
+        if (!hand.landmarks) return null;
+        // Wrist-to-middle-finger angle: 0 = tilted fully one way, 0.5 = upright, 1 = the other way
+        const wrist = hand.landmarks[0];
+        const middle = hand.landmarks[9];
+        const angle = Math.atan2(middle.x - wrist.x, wrist.y - middle.y);
+        return Math.max(0, Math.min(1, angle / Math.PI + 0.5));
+    }
+
+    mapValue(binding, value) {
+        let t = Math.max(0, Math.min(1, value));
+        if (binding.invert) {
+            t = 1 - t;
+        }
+        return this.curves[binding.curve](t);
+    }
+
+    mapInfluence(hand, recognised) {
+        // Influence bindings are evaluated per hand so two-hand modes keep working
+        const influence = { openness: 0.5, position: { x: 0.5, y: 0.5 } };
+
+        for (const binding of this.bindings) {
+            const info = this.targets[binding.target];
+            if (info.type !== 'influence') continue;
+
+            const value = this.readSignal(binding.signal, hand, recognised);
+            if (value === null || value === undefined) continue;
+
+            const mapped = binding.min + (binding.max - binding.min) * this.mapValue(binding, value);
+            if (binding.target === 'influenceOpenness') {
+                influence.openness = mapped;
+            } else if (binding.target === 'influenceX') {
+                influence.position.x = mapped;
+            } else {
+                influence.position.y = mapped;
+            }
+        }
+
+        return influence;
+    }
+
+    evaluate(gesture, recognised) {
+        const params = {};
+        const actions = [];
+
+        for (const binding of this.bindings) {
+            const info = this.targets[binding.target];
+            if (info.type === 'influence') continue;
+
+            const hand = binding.hand === 'primary'
+                ? InputSource.getPrimaryHand(gesture)
+                : gesture.hands.find(h => h.handedness === binding.hand);
+            const value = this.readSignal(binding.signal, hand, recognised);
+
+            if (value === null || value === undefined) {
+                this.lastValues[binding.id] = 0;
+                continue;
+            }
+
+            const mapped = this.mapValue(binding, value);
+
+            if (info.type === 'param') {
+                params[binding.target] = binding.min + (binding.max - binding.min) * mapped;
+            } else {
+                const previous = this.lastValues[binding.id] || 0;
+                if (mapped >= 0.5 && previous < 0.5) {
+                    actions.push({ target: binding.target, arg: binding.arg });
+                }
+            }
+            this.lastValues[binding.id] = mapped;
+        }
+
+        return { params: params, actions: actions };
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            bindings: this.bindings.map(({ id, ...binding }) => binding)
+        };
+    }
+
+    fromJSON(data) {
+        if (!data || !Array.isArray(data.bindings)) {
+            throw new Error('Invalid bindings file');
+        }
+        this.setBindings(data.bindings);
+    }
+
+    save() {
+        try {
+            localStorage.setItem('gestureParticles.bindings', JSON.stringify(this.toJSON()));
+        } catch (err) {
+            console.error('Could not save gesture bindings:', err);
+        }
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem('gestureParticles.bindings');
+            if (stored) {
+                this.fromJSON(JSON.parse(stored));
+            }
+        } catch (err) {
+            console.error('Could not load gesture bindings:', err);
+        }
+    }
+
+    distance(p1, p2) {
+        const dx = p1.x - p2.x;
+        const dy = p1.y - p2.y;
+        const dz = (p1.z || 0) - (p2.z || 0);
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+}
+
+// Export for use in other modules
+window.GestureBindings = GestureBindings;
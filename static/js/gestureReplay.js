@@ -0,0 +1,157 @@
+/**
+ * Gesture Replay Module
+ * Plays a recorded landmark session back through GestureDetector.onResults()
+ */
+
+class GestureReplay {
+    constructor(detector) {
+        this.detector = detector;
+        this.session = null;
+        this.frameIndex = 0;
+        this.currentTime = 0; // ms into the session
+        this.isPlaying = false;
+        this.loop = true;
+        this.lastTick = 0;
+        this.startOffset = 0; // Keeps replayed timestamps increasing across loops and seeks
+        this.animationFrame = null;
+        this.clock = null; // Clock whose pause and time scale the replay follows
+
+        // Callbacks
+        this.onProgress = null; // (currentTime, duration)
+        this.onEnd = null;
+    }
+
+    load(session) {
+        if (!session || !Array.isArray(session.frames) || session.frames.length === 0) {
+            throw new Error('Recording has no frames');
+        }
+
+        this.stop();
+        this.session = session;
+        this.startOffset = performance.now();
+        this.seek(0);
+    }
+
+    getDuration() {
+        return this.session ? this.session.duration : 0;
+    }
+
+    play() {
+        if (!this.session || this.isPlaying) return;
+
+        // Starting from the end replays from the beginning
+        if (this.currentTime >= this.getDuration()) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.lastTick = performance.now();
+        this.tick();
+    }
+
+    pause() {
+        this.isPlaying = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    stop() {
+        this.pause();
+        this.frameIndex = 0;
+        this.currentTime = 0;
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    setClock(clock) {
+        this.clock = clock;
+    }
+
+    seek(time) {
+        if (!this.session) return;
+
+        const frames = this.session.frames;
+        this.currentTime = Math.max(0, Math.min(time, this.getDuration()));
+        this.startOffset += 1000; // A jump in time, so motion history doesn't join up
+        this.detector.resetSmoothing();
+
+        // Show the last frame at or before the new time
+        this.frameIndex = 0;
+        while (this.frameIndex < frames.length - 1 && frames[this.frameIndex + 1].t <= this.currentTime) {
+            this.frameIndex++;
+        }
+        this.deliver(frames[this.frameIndex]);
+        this.frameIndex++;
+
+        this.reportProgress();
+    }
+
+    tick() {
+        if (!this.isPlaying) return;
+
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+
+        const now = performance.now();
+        const scale = this.clock ? this.clock.getScale() : 1;
+        this.advance((now - this.lastTick) * scale);
+        this.lastTick = now;
+    }
+
+    // Moves the session on by elapsed ms. Also called directly to step a session at a fixed rate
+    advance(elapsed) {
+        if (!this.session) return;
+
+        this.currentTime += elapsed;
+
+        // Deliver every frame that is due, in order, so smoothing sees the original sequence
+        const frames = this.session.frames;
+        while (this.frameIndex < frames.length && frames[this.frameIndex].t <= this.currentTime) {
+            this.deliver(frames[this.frameIndex]);
+            this.frameIndex++;
+        }
+
+        if (this.frameIndex >= frames.length) {
+            if (this.loop) {
+                this.startOffset += this.getDuration();
+                this.frameIndex = 0;
+                this.currentTime = 0;
+                this.detector.resetSmoothing();
+            } else {
+                const wasPlaying = this.isPlaying;
+                this.currentTime = this.getDuration();
+                this.pause();
+                if (wasPlaying && this.onEnd) {
+                    this.onEnd();
+                }
+            }
+        }
+
+        this.reportProgress();
+    }
+
+    deliver(frame) {
+        this.detector.onResults({
+            multiHandLandmarks: frame.multiHandLandmarks,
+            multiHandedness: frame.multiHandedness,
+            timestamp: this.startOffset + frame.t
+        });
+    }
+
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress(this.currentTime, this.getDuration());
+        }
+    }
+
+    dispose() {
+        this.pause();
+        this.session = null;
+    }
+}
+
+// Export for use in other modules
+window.GestureReplay = GestureReplay;
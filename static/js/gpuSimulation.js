@@ -0,0 +1,436 @@
+/**
+ * GPU Simulation Module
+ * Ping-pong float texture simulation of particle velocities and positions
+ */
+
+class GPUSimulation {
+    constructor(renderer, particleCount, positions, textureType, physics) {
+        this.renderer = renderer;
+        this.particleCount = particleCount;
+        this.textureType = textureType;
+        this.physics = physics;
+
+        // Square texture with one texel per particle, padding texels are ignored
+        this.size = Math.max(Math.ceil(Math.sqrt(particleCount)), 1);
+
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quadScene = new THREE.Scene();
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quadScene.add(this.quad);
+
+        this.originalTexture = this.createDataTexture(positions);
+        this.morphTexture = null; // xyz = anchor the running morph started from, w = stagger delay
+        this.readTarget = this.createTarget();
+        this.writeTarget = this.createTarget();
+        this.velocityRead = this.createTarget();
+        this.velocityWrite = this.createTarget();
+
+        this.createMaterials();
+        this.resetPositions();
+    }
+
+    // Texture type usable as a render target, or null when the GPU can't simulate
+    static getSupportedType(renderer) {
+        const capabilities = renderer.capabilities;
+        const extensions = renderer.extensions;
+
+        // Positions are read in the vertex shader
+        if (capabilities.maxVertexTextures < 1) return null;
+
+        // Half floats step by about 0.016 beyond |x| = 16, coarser than a settling spring's
+        // per-step motion, so particles would jitter instead of coming to rest
+        if (capabilities.isWebGL2) {
+            return extensions.has('EXT_color_buffer_float') ? THREE.FloatType : null;
+        }
+
+        if (extensions.has('OES_texture_float') && extensions.has('WEBGL_color_buffer_float')) {
+            return THREE.FloatType;
+        }
+        return null;
+    }
+
+    createDataTexture(positions) {
+        // xyz = pattern position (spring anchor), w = per-particle mass seed
+        const data = new Float32Array(this.size * this.size * 4);
+        for (let i = 0; i < this.particleCount; i++) {
+            data[i * 4] = positions[i * 3];
+            data[i * 4 + 1] = positions[i * 3 + 1];
+            data[i * 4 + 2] = positions[i * 3 + 2];
+            data[i * 4 + 3] = Math.random();
+        }
+
+        const texture = new THREE.DataTexture(data, this.size, this.size, THREE.RGBAFormat, THREE.FloatType);
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    createTarget() {
+        return new THREE.WebGLRenderTarget(this.size, this.size, {
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            format: THREE.RGBAFormat,
+            type: this.textureType,
+            depthBuffer: false,
+            stencilBuffer: false
+        });
+    }
+
+    createMaterials() {
+        const vertexShader = `
+            varying vec2 vUv;
+
+            void main() {
+                vUv = uv;
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+            }
+        `;
+
+        this.copyMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tSource: { value: null }
+            },
+            vertexShader: vertexShader,
+            fragmentShader: `
+                uniform sampler2D tSource;
+                varying vec2 vUv;
+
+                void main() {
+                    gl_FragColor = vec4(texture2D(tSource, vUv).xyz, 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        const maxFields = this.physics.maxFields;
+
+        // Same forces as ParticlePhysics.step(), see there for the model
+        this.velocityMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tPosition: { value: null },
+                tVelocity: { value: null },
+                tOriginal: { value: this.originalTexture },
+                tMorphFrom: { value: null },
+                morphProgress: { value: -1 }, // Below 0 while no morph runs
+                morphSpan: { value: 1 },
+                morphEasing: { value: 0 },
+                textureSize: { value: this.size },
+                particleCount: { value: this.particleCount },
+                time: { value: 0 },
+                delta: { value: 0.016 },
+                stiffness: { value: 0 },
+                damping: { value: 0 },
+                massVariation: { value: 0 },
+                floatStrength: { value: 0 },
+                maxSpeed: { value: 0 },
+                handRadius: { value: 1 },
+                splitIndex: { value: this.particleCount },
+                handA: { value: new THREE.Vector4() }, // xyz = position, w = strength
+                handB: { value: new THREE.Vector4() },
+                fieldParams: { value: Array.from({ length: maxFields }, () => new THREE.Vector4(-1, 0, 1, 0)) }, // type, strength, radius
+                fieldPositions: { value: Array.from({ length: maxFields }, () => new THREE.Vector3()) },
+                fieldDirections: { value: Array.from({ length: maxFields }, () => new THREE.Vector3(0, 1, 0)) }
+            },
+            defines: {
+                MAX_FORCE_FIELDS: maxFields
+            },
+            vertexShader: vertexShader,
+            fragmentShader: `
+                uniform sampler2D tPosition;
+                uniform sampler2D tVelocity;
+                uniform sampler2D tOriginal;
+                uniform sampler2D tMorphFrom;
+                uniform float morphProgress;
+                uniform float morphSpan;
+                uniform int morphEasing;
+                uniform float textureSize;
+                uniform float particleCount;
+                uniform float time;
+                uniform float delta;
+                uniform float stiffness;
+                uniform float damping;
+                uniform float massVariation;
+                uniform float floatStrength;
+                uniform float maxSpeed;
+                uniform float handRadius;
+                uniform float splitIndex;
+                uniform vec4 handA;
+                uniform vec4 handB;
+                uniform vec4 fieldParams[MAX_FORCE_FIELDS];
+                uniform vec3 fieldPositions[MAX_FORCE_FIELDS];
+                uniform vec3 fieldDirections[MAX_FORCE_FIELDS];
+                varying vec2 vUv;
+
+                vec3 pointForce(vec3 center, float strength, float radius, vec3 pos) {
+                    vec3 offset = center - pos;
+                    float distance = length(offset) + 1e-3;
+                    return offset * strength / (1.0 + (distance / radius) * (distance / radius)) / distance;
+                }
+
+                vec3 fieldForce(vec4 params, vec3 center, vec3 direction, vec3 pos, float mass) {
+                    int type = int(params.x + 0.5);
+                    float strength = params.y;
+                    float radius = params.z;
+
+                    if (type == 0) {
+                        return pointForce(center, strength, radius, pos);
+                    } else if (type == 1) {
+                        return pointForce(center, -strength, radius, pos);
+                    } else if (type == 2) {
+                        vec3 relative = pos - center;
+                        vec3 radial = relative - direction * dot(relative, direction);
+                        float distance = length(radial) + 1e-3;
+                        return cross(direction, radial) * strength / (1.0 + (distance / radius) * (distance / radius)) / distance;
+                    } else if (type == 3) {
+                        float frequency = 1.0 / radius;
+                        float t = time * 0.5;
+                        return vec3(
+                            sin(pos.z * frequency + t) - sin(pos.y * frequency * 1.7 + t * 1.3),
+                            sin(pos.x * frequency + t * 0.8) - sin(pos.z * frequency * 1.7 + t * 1.1),
+                            sin(pos.y * frequency + t * 1.2) - sin(pos.x * frequency * 1.7 + t * 0.9)
+                        ) * strength * 0.5;
+                    }
+                    return direction * strength * mass;
+                }
+
+                // Same easings as PatternMorph, in the same order
+                float ease(float t) {
+                    if (morphEasing == 1) return t * t * t;
+                    if (morphEasing == 2) return 1.0 - pow(1.0 - t, 3.0);
+                    if (morphEasing == 3) return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(2.0 - 2.0 * t, 3.0) / 2.0;
+                    if (morphEasing == 4) {
+                        float u = t - 1.0;
+                        return 1.0 + 2.70158 * u * u * u + 1.70158 * u * u;
+                    }
+                    if (morphEasing == 5) {
+                        if (t <= 0.0 || t >= 1.0) return t;
+                        return pow(2.0, -10.0 * t) * sin((t * 10.0 - 0.75) * 2.0943951) + 1.0;
+                    }
+                    return t;
+                }
+
+                void main() {
+                    vec4 original = texture2D(tOriginal, vUv);
+                    vec3 pos = texture2D(tPosition, vUv).xyz;
+                    vec3 velocity = texture2D(tVelocity, vUv).xyz;
+                    float index = floor(gl_FragCoord.y) * textureSize + floor(gl_FragCoord.x);
+
+                    if (index >= particleCount) {
+                        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                        return;
+                    }
+
+                    float mass = 1.0 + (original.w * 2.0 - 1.0) * massVariation;
+
+                    // While a pattern morph runs, the anchor travels from the old pattern to the new one
+                    vec3 anchor = original.xyz;
+                    if (morphProgress >= 0.0) {
+                        vec4 morphFrom = texture2D(tMorphFrom, vUv);
+                        float t = ease(clamp((morphProgress - morphFrom.w) / morphSpan, 0.0, 1.0));
+                        anchor = morphFrom.xyz + (original.xyz - morphFrom.xyz) * t;
+                    }
+
+                    // Spring towards the pattern position
+                    vec3 force = (anchor - pos) * stiffness;
+
+                    // Subtle floating animation
+                    float floatSpeed = 0.5 + (index / particleCount) * 0.5;
+                    force.y += sin(time * floatSpeed + mod(index * 0.1, 6.2831853)) * floatStrength;
+
+                    vec4 hand = index < splitIndex ? handA : handB;
+                    force += pointForce(hand.xyz, hand.w, handRadius, pos);
+
+                    for (int i = 0; i < MAX_FORCE_FIELDS; i++) {
+                        if (fieldParams[i].x < 0.0) break;
+                        force += fieldForce(fieldParams[i], fieldPositions[i], fieldDirections[i], pos, mass);
+                    }
+
+                    velocity = (velocity + force / mass * delta) / (1.0 + damping * delta / mass);
+
+                    float speed = length(velocity);
+                    if (speed > maxSpeed) {
+                        velocity *= maxSpeed / speed;
+                    }
+
+                    gl_FragColor = vec4(velocity, 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.positionMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tPosition: { value: null },
+                tVelocity: { value: null },
+                delta: { value: 0.016 }
+            },
+            vertexShader: vertexShader,
+            fragmentShader: `
+                uniform sampler2D tPosition;
+                uniform sampler2D tVelocity;
+                uniform float delta;
+                varying vec2 vUv;
+
+                void main() {
+                    vec3 pos = texture2D(tPosition, vUv).xyz;
+                    vec3 velocity = texture2D(tVelocity, vUv).xyz;
+                    gl_FragColor = vec4(pos + velocity * delta, 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+    }
+
+    renderPass(material, target) {
+        const currentTarget = this.renderer.getRenderTarget();
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.quadScene, this.quadCamera);
+        this.renderer.setRenderTarget(currentTarget);
+    }
+
+    resetPositions() {
+        this.copyMaterial.uniforms.tSource.value = this.originalTexture;
+        this.renderPass(this.copyMaterial, this.readTarget);
+        this.renderPass(this.copyMaterial, this.writeTarget);
+        this.clearVelocities();
+    }
+
+    clearVelocities() {
+        const currentTarget = this.renderer.getRenderTarget();
+        this.renderer.setClearColor(0x000000, 0);
+        for (const target of [this.velocityRead, this.velocityWrite]) {
+            this.renderer.setRenderTarget(target);
+            this.renderer.clear();
+        }
+        this.renderer.setRenderTarget(currentTarget);
+    }
+
+    // New spring anchors, any running morph stops
+    setOriginalPositions(positions) {
+        const data = this.originalTexture.image.data;
+        for (let i = 0; i < this.particleCount; i++) {
+            data[i * 4] = positions[i * 3];
+            data[i * 4 + 1] = positions[i * 3 + 1];
+            data[i * 4 + 2] = positions[i * 3 + 2];
+        }
+        this.originalTexture.needsUpdate = true;
+        this.stopMorph();
+    }
+
+    // Uploads both ends of a PatternMorph once, its steps then only move the progress uniform
+    startMorph(morph) {
+        this.setOriginalPositions(morph.to);
+
+        if (!this.morphTexture) {
+            this.morphTexture = this.createDataTexture(morph.from);
+        }
+        const data = this.morphTexture.image.data;
+        for (let i = 0; i < this.particleCount; i++) {
+            data[i * 4] = morph.from[i * 3];
+            data[i * 4 + 1] = morph.from[i * 3 + 1];
+            data[i * 4 + 2] = morph.from[i * 3 + 2];
+            data[i * 4 + 3] = morph.delays ? morph.delays[i] : 0;
+        }
+        this.morphTexture.needsUpdate = true;
+
+        const uniforms = this.velocityMaterial.uniforms;
+        uniforms.tMorphFrom.value = this.morphTexture;
+        uniforms.morphSpan.value = morph.getSpan();
+        uniforms.morphEasing.value = morph.getEasingIndex();
+        uniforms.morphProgress.value = 0;
+    }
+
+    setMorphProgress(progress) {
+        this.velocityMaterial.uniforms.morphProgress.value = progress;
+    }
+
+    // The anchors stay on the morph's destination
+    stopMorph() {
+        this.velocityMaterial.uniforms.morphProgress.value = -1;
+    }
+
+    syncPhysics() {
+        const physics = this.physics;
+        const uniforms = this.velocityMaterial.uniforms;
+        uniforms.stiffness.value = physics.stiffness;
+        uniforms.damping.value = physics.damping;
+        uniforms.massVariation.value = physics.massVariation;
+        uniforms.floatStrength.value = physics.floatStrength;
+        uniforms.maxSpeed.value = physics.maxSpeed;
+        uniforms.handRadius.value = physics.handRadius;
+        uniforms.splitIndex.value = Math.min(physics.splitIndex, this.particleCount);
+
+        const [handA, handB] = physics.hands;
+        uniforms.handA.value.set(handA.position.x, handA.position.y, handA.position.z, handA.active ? handA.strength : 0);
+        uniforms.handB.value.set(handB.position.x, handB.position.y, handB.position.z, handB.active ? handB.strength : 0);
+
+        physics.writeFieldUniforms(uniforms.fieldParams.value, uniforms.fieldPositions.value, uniforms.fieldDirections.value);
+    }
+
+    update(time, delta) {
+        this.syncPhysics();
+
+        const velocityUniforms = this.velocityMaterial.uniforms;
+        velocityUniforms.time.value = time;
+        velocityUniforms.delta.value = delta;
+        velocityUniforms.tPosition.value = this.readTarget.texture;
+        velocityUniforms.tVelocity.value = this.velocityRead.texture;
+        this.renderPass(this.velocityMaterial, this.velocityWrite);
+
+        let swap = this.velocityRead;
+        this.velocityRead = this.velocityWrite;
+        this.velocityWrite = swap;
+
+        const positionUniforms = this.positionMaterial.uniforms;
+        positionUniforms.delta.value = delta;
+        positionUniforms.tPosition.value = this.readTarget.texture;
+        positionUniforms.tVelocity.value = this.velocityRead.texture;
+        this.renderPass(this.positionMaterial, this.writeTarget);
+
+        swap = this.readTarget;
+        this.readTarget = this.writeTarget;
+        this.writeTarget = swap;
+    }
+
+    getPositionTexture() {
+        return this.readTarget.texture;
+    }
+
+    // Positions one step back, the last step's input
+    getPreviousPositionTexture() {
+        return this.writeTarget.texture;
+    }
+
+    // Texture coordinates of each particle's texel, for the render shader
+    createReferences() {
+        const references = new Float32Array(this.particleCount * 2);
+        for (let i = 0; i < this.particleCount; i++) {
+            references[i * 2] = ((i % this.size) + 0.5) / this.size;
+            references[i * 2 + 1] = (Math.floor(i / this.size) + 0.5) / this.size;
+        }
+        return references;
+    }
+
+    dispose() {
+        this.readTarget.dispose();
+        this.writeTarget.dispose();
+        this.velocityRead.dispose();
+        this.velocityWrite.dispose();
+        this.originalTexture.dispose();
+        if (this.morphTexture) {
+            this.morphTexture.dispose();
+        }
+        this.copyMaterial.dispose();
+        this.velocityMaterial.dispose();
+        this.positionMaterial.dispose();
+        this.quad.geometry.dispose();
+    }
+}
+
+// Export for use in other modules
+window.GPUSimulation = GPUSimulation;
@@ -0,0 +1,110 @@
+/**
+ * Hand Loss Module
+ * What drives the particles after the tracked hand is lost: the last state, a return to neutral or an idle animation
+ */
+
+class HandLossPolicy {
+    constructor() {
+        this.mode = 'neutral'; // 'freeze', 'neutral', 'idle' or 'secondary' (handled by the app)
+        this.returnTime = 1; // Seconds to ease back to neutral, or over into the idle animation
+
+        this.lastGesture = null; // The last tracked state, without landmarks
+        this.lostAt = null; // Timestamp (ms) of the first frame without a hand
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    setReturnTime(seconds) {
+        this.returnTime = seconds;
+    }
+
+    isLost() {
+        return this.lostAt !== null;
+    }
+
+    reset() {
+        this.lastGesture = null;
+        this.lostAt = null;
+    }
+
+    // Takes every gesture of the tracked source, returns the one the particles should follow
+    apply(gesture) {
+        if (gesture.isDetected) {
+            this.lostAt = null;
+            this.lastGesture = {
+                primaryHand: gesture.primaryHand,
+                hands: gesture.hands.map(hand => ({
+                    handedness: hand.handedness,
+                    openness: hand.openness,
+                    position: { ...hand.position },
+                    confidence: hand.confidence
+                }))
+            };
+            return gesture;
+        }
+
+        if (!this.lastGesture || this.lastGesture.hands.length === 0) return gesture;
+        if (this.lostAt === null) {
+            this.lostAt = gesture.timestamp;
+        }
+        const elapsed = (gesture.timestamp - this.lostAt) / 1000;
+        const progress = this.returnTime > 0 ? Math.min(1, elapsed / this.returnTime) : 1;
+
+        switch (this.mode) {
+            case 'freeze':
+                return this.blend(gesture, null, 0);
+            case 'neutral':
+                // Once neutral, the hand lets go
+                if (progress >= 1) return gesture;
+                return this.blend(gesture, { openness: 0.5, position: { x: 0.5, y: 0.5 } }, progress);
+            case 'idle':
+                return this.blend(gesture, this.getIdlePose(elapsed), progress);
+            default:
+                return gesture;
+        }
+    }
+
+    // A slow wander around the centre, opening and closing as it goes
+    getIdlePose(time) {
+        return {
+            openness: 0.5 + 0.35 * Math.sin(time * 0.9),
+            position: {
+                x: 0.5 + 0.3 * Math.sin(time * 0.37),
+                y: 0.5 + 0.25 * Math.sin(time * 0.53 + 1)
+            }
+        };
+    }
+
+    // The last hands eased towards target by t, reported as tracked so they keep their force
+    blend(gesture, target, t) {
+        const eased = t * t * (3 - 2 * t);
+        const lerp = (a, b) => a + (b - a) * eased;
+
+        const hands = this.lastGesture.hands.map(hand => {
+            if (!target) return { ...hand, position: { ...hand.position } };
+            return {
+                ...hand,
+                openness: lerp(hand.openness, target.openness),
+                position: {
+                    x: lerp(hand.position.x, target.position.x),
+                    y: lerp(hand.position.y, target.position.y)
+                }
+            };
+        });
+
+        const primary = hands.find(hand => hand.handedness === this.lastGesture.primaryHand) || hands[0];
+        return {
+            ...gesture,
+            openness: primary.openness,
+            position: { ...primary.position },
+            isDetected: true,
+            hands: hands,
+            primaryHand: primary.handedness
+        };
+    }
+}
+
+// Export for use in other modules
+window.HandLossPolicy = HandLossPolicy;
@@ -0,0 +1,120 @@
+/**
+ * Idle Director Module
+ * Attract mode for unattended screens: after a spell with no hand it cycles the scene and moves a synthetic hand
+ */
+
+class IdleDirector {
+    constructor() {
+        this.enabled = false;
+        this.timeout = 30; // Seconds without a hand before attract mode starts
+        this.cycleInterval = 10; // Seconds between pattern and color changes
+
+        this.isActive = false;
+        this.handPresent = false;
+        this.idleSince = 0; // ms, when the last hand left
+        this.activeSince = 0;
+        this.lastCycle = 0;
+        this.cycleCount = 0;
+        this.animationFrame = null;
+
+        // Callbacks
+        this.canStart = null; // () => boolean, checked before attract mode starts
+        this.onStart = null;
+        this.onStop = null;
+        this.onCycle = null; // (cycleCount)
+        this.onInfluence = null; // (openness, position)
+    }
+
+    // Starts watching for idle time
+    start() {
+        if (this.animationFrame !== null) return;
+        this.idleSince = performance.now();
+        this.tick();
+    }
+
+    tick() {
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+        this.update(performance.now());
+    }
+
+    update(now) {
+        if (!this.isActive) {
+            const idle = this.enabled && !this.handPresent && now - this.idleSince >= this.timeout * 1000;
+            if (idle && (!this.canStart || this.canStart())) {
+                this.enter(now);
+            }
+            return;
+        }
+
+        if (now - this.lastCycle >= this.cycleInterval * 1000) {
+            this.lastCycle = now;
+            this.cycleCount++;
+            if (this.onCycle) this.onCycle(this.cycleCount);
+        }
+
+        if (this.onInfluence) {
+            const influence = this.getInfluence((now - this.activeSince) / 1000);
+            this.onInfluence(influence.openness, influence.position);
+        }
+    }
+
+    // The synthetic hand circles the scene, alternately gathering and scattering the particles
+    getInfluence(time) {
+        const angle = time * 2 * Math.PI / 12;
+        return {
+            openness: 0.5 + 0.4 * Math.sin(time * 2 * Math.PI / 5),
+            position: {
+                x: 0.5 + 0.25 * Math.cos(angle),
+                y: 0.5 + 0.2 * Math.sin(angle)
+            }
+        };
+    }
+
+    enter(now) {
+        this.isActive = true;
+        this.activeSince = now;
+        this.lastCycle = now;
+        this.cycleCount = 0;
+        if (this.onStart) this.onStart();
+    }
+
+    exit() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        if (this.onStop) this.onStop();
+    }
+
+    // A hand arriving ends attract mode at once, the idle time counts from when it leaves
+    setHandPresent(present) {
+        this.handPresent = present;
+        this.idleSince = performance.now();
+        if (present) {
+            this.exit();
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.idleSince = performance.now();
+        if (!enabled) {
+            this.exit();
+        }
+    }
+
+    setIdleTimeout(seconds) {
+        this.timeout = seconds;
+    }
+
+    setCycleInterval(seconds) {
+        this.cycleInterval = seconds;
+    }
+
+    stop() {
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        this.exit();
+    }
+}
+
+// Export for use in other modules
+window.IdleDirector = IdleDirector;
@@ -0,0 +1,511 @@
+/**
+ * Model Loader Module
+ * Local OBJ/PLY/glTF parsing and point sampling of meshes as particle targets
+ */
+
+class ModelLoader {
+    constructor() {
+        // Last parsed file, kept while sampling options change
+        this.cacheFile = null;
+        this.cache = null;
+    }
+
+    // file: { name, buffer } -> { positions, colors (or null), indices (or null) }
+    load(file) {
+        if (this.cacheFile === file) return this.cache;
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        let model;
+        switch (extension) {
+            case 'obj':
+                model = this.parseOBJ(new TextDecoder().decode(file.buffer));
+                break;
+            case 'ply':
+                model = this.parsePLY(file.buffer);
+                break;
+            case 'gltf':
+                model = this.parseGLTF(JSON.parse(new TextDecoder().decode(file.buffer)), null);
+                break;
+            case 'glb':
+                model = this.parseGLB(file.buffer);
+                break;
+            default:
+                throw new Error(`Unsupported model format ".${extension}"`);
+        }
+
+        if (model.positions.length === 0) {
+            throw new Error(`No vertices found in ${file.name}`);
+        }
+
+        this.cacheFile = file;
+        this.cache = model;
+        return model;
+    }
+
+    parseOBJ(text) {
+        const vertices = [];
+        const colors = [];
+        const indices = [];
+        let hasColors = false;
+
+        for (const line of text.split('\n')) {
+            const parts = line.trim().split(/\s+/);
+            if (parts[0] === 'v') {
+                vertices.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+                // Common extension: "v x y z r g b"
+                if (parts.length >= 7) {
+                    colors.push(parseFloat(parts[4]), parseFloat(parts[5]), parseFloat(parts[6]));
+                    hasColors = true;
+                } else {
+                    colors.push(1, 1, 1);
+                }
+            } else if (parts[0] === 'f') {
+                // "f v/vt/vn ...", negative indices count back from the latest vertex
+                const count = vertices.length / 3;
+                const face = parts.slice(1).map(token => {
+                    const index = parseInt(token.split('/')[0], 10);
+                    return index < 0 ? count + index : index - 1;
+                });
+                for (let i = 1; i < face.length - 1; i++) {
+                    indices.push(face[0], face[i], face[i + 1]);
+                }
+            }
+        }
+
+        return {
+            positions: Float32Array.from(vertices),
+            colors: hasColors ? Float32Array.from(colors) : null,
+            indices: indices.length > 0 ? Uint32Array.from(indices) : null
+        };
+    }
+
+    parsePLY(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder();
+
+        // Header runs up to "end_header\n"
+        const marker = 'end_header';
+        let headerEnd = -1;
+        for (let i = 0; i < Math.min(bytes.length, 65536) - marker.length; i++) {
+            if (decoder.decode(bytes.subarray(i, i + marker.length)) === marker) {
+                headerEnd = i + marker.length;
+                while (bytes[headerEnd] !== 10 && headerEnd < bytes.length) headerEnd++;
+                headerEnd++;
+                break;
+            }
+        }
+        if (headerEnd < 0) {
+            throw new Error('Invalid PLY header');
+        }
+
+        let format = 'ascii';
+        const elements = [];
+        for (const line of decoder.decode(bytes.subarray(0, headerEnd)).split('\n')) {
+            const parts = line.trim().split(/\s+/);
+            if (parts[0] === 'format') {
+                format = parts[1];
+            } else if (parts[0] === 'element') {
+                elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+            } else if (parts[0] === 'property') {
+                const element = elements[elements.length - 1];
+                if (parts[1] === 'list') {
+                    element.properties.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+                } else {
+                    element.properties.push({ name: parts[2], list: false, type: parts[1] });
+                }
+            }
+        }
+
+        const reader = format === 'ascii'
+            ? this.createPLYTextReader(decoder.decode(bytes.subarray(headerEnd)))
+            : this.createPLYBinaryReader(buffer, headerEnd, format === 'binary_little_endian');
+
+        const vertices = [];
+        const colors = [];
+        const indices = [];
+        let hasColors = false;
+
+        for (const element of elements) {
+            for (let n = 0; n < element.count; n++) {
+                const values = {};
+                for (const property of element.properties) {
+                    if (property.list) {
+                        const length = reader.read(property.countType);
+                        const list = [];
+                        for (let i = 0; i < length; i++) {
+                            list.push(reader.read(property.type));
+                        }
+                        values[property.name] = list;
+                    } else {
+                        values[property.name] = reader.read(property.type);
+                    }
+                }
+
+                if (element.name === 'vertex') {
+                    vertices.push(values.x, values.y, values.z);
+                    const red = values.red !== undefined ? values.red : values.diffuse_red;
+                    if (red !== undefined) {
+                        // Integer channels are 0-255, float channels already 0-1
+                        const type = element.properties.find(p => p.name === 'red' || p.name === 'diffuse_red').type;
+                        const scale = /float|double/.test(type) ? 1 : 1 / 255;
+                        const green = values.green !== undefined ? values.green : values.diffuse_green;
+                        const blue = values.blue !== undefined ? values.blue : values.diffuse_blue;
+                        colors.push(red * scale, green * scale, blue * scale);
+                        hasColors = true;
+                    } else {
+                        colors.push(1, 1, 1);
+                    }
+                } else if (element.name === 'face') {
+                    const face = values.vertex_indices || values.vertex_index || [];
+                    for (let i = 1; i < face.length - 1; i++) {
+                        indices.push(face[0], face[i], face[i + 1]);
+                    }
+                }
+            }
+        }
+
+        return {
+            positions: Float32Array.from(vertices),
+            colors: hasColors ? Float32Array.from(colors) : null,
+            indices: indices.length > 0 ? Uint32Array.from(indices) : null
+        };
+    }
+
+    createPLYTextReader(text) {
+        const tokens = text.split(/\s+/).filter(token => token.length > 0);
+        let position = 0;
+        return {
+            read: () => parseFloat(tokens[position++])
+        };
+    }
+
+    createPLYBinaryReader(buffer, offset, littleEndian) {
+        const view = new DataView(buffer);
+        let position = offset;
+        const types = {
+            char: ['getInt8', 1], int8: ['getInt8', 1],
+            uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+            short: ['getInt16', 2], int16: ['getInt16', 2],
+            ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+            int: ['getInt32', 4], int32: ['getInt32', 4],
+            uint: ['getUint32', 4], uint32: ['getUint32', 4],
+            float: ['getFloat32', 4], float32: ['getFloat32', 4],
+            double: ['getFloat64', 8], float64: ['getFloat64', 8]
+        };
+        return {
+            read: (type) => {
+                const [method, size] = types[type];
+                const value = view[method](position, littleEndian);
+                position += size;
+                return value;
+            }
+        };
+    }
+
+    parseGLB(buffer) {
+        const view = new DataView(buffer);
+        if (view.getUint32(0, true) !== 0x46546C67) {
+            throw new Error('Invalid GLB file');
+        }
+
+        let json = null;
+        let binary = null;
+        let offset = 12;
+        while (offset < view.byteLength) {
+            const length = view.getUint32(offset, true);
+            const type = view.getUint32(offset + 4, true);
+            const data = buffer.slice(offset + 8, offset + 8 + length);
+            if (type === 0x4E4F534A) {
+                json = JSON.parse(new TextDecoder().decode(data));
+            } else if (type === 0x004E4942) {
+                binary = data;
+            }
+            offset += 8 + length;
+        }
+
+        if (!json) {
+            throw new Error('GLB file has no JSON chunk');
+        }
+        return this.parseGLTF(json, binary);
+    }
+
+    parseGLTF(json, binary) {
+        // Only embedded data: the GLB binary chunk or base64 data URIs
+        const buffers = (json.buffers || []).map(buffer => {
+            if (buffer.uri === undefined) return binary;
+            if (buffer.uri.startsWith('data:')) {
+                const decoded = atob(buffer.uri.split(',')[1]);
+                const bytes = new Uint8Array(decoded.length);
+                for (let i = 0; i < decoded.length; i++) {
+                    bytes[i] = decoded.charCodeAt(i);
+                }
+                return bytes.buffer;
+            }
+            throw new Error('External glTF buffers are not supported, use a .glb or embedded .gltf');
+        });
+
+        const positions = [];
+        const colors = [];
+        const indices = [];
+        let hasColors = false;
+
+        const visit = (nodeIndex, parentMatrix) => {
+            const node = json.nodes[nodeIndex];
+            const matrix = new THREE.Matrix4();
+            if (node.matrix) {
+                matrix.fromArray(node.matrix);
+            } else {
+                matrix.compose(
+                    new THREE.Vector3().fromArray(node.translation || [0, 0, 0]),
+                    new THREE.Quaternion().fromArray(node.rotation || [0, 0, 0, 1]),
+                    new THREE.Vector3().fromArray(node.scale || [1, 1, 1])
+                );
+            }
+            matrix.premultiply(parentMatrix);
+
+            if (node.mesh !== undefined) {
+                for (const primitive of json.meshes[node.mesh].primitives) {
+                    if (primitive.attributes.POSITION === undefined) continue;
+
+                    const base = positions.length / 3;
+                    const vertex = new THREE.Vector3();
+                    const vertexData = this.readAccessor(json, buffers, primitive.attributes.POSITION);
+                    for (let i = 0; i < vertexData.count; i++) {
+                        vertex.fromArray(vertexData.values, i * vertexData.size).applyMatrix4(matrix);
+                        positions.push(vertex.x, vertex.y, vertex.z);
+                    }
+
+                    if (primitive.attributes.COLOR_0 !== undefined) {
+                        const colorData = this.readAccessor(json, buffers, primitive.attributes.COLOR_0);
+                        for (let i = 0; i < colorData.count; i++) {
+                            const c = i * colorData.size;
+                            colors.push(colorData.values[c], colorData.values[c + 1], colorData.values[c + 2]);
+                        }
+                        hasColors = true;
+                    } else {
+                        for (let i = 0; i < vertexData.count; i++) {
+                            colors.push(1, 1, 1);
+                        }
+                    }
+
+                    // Triangle lists only, other modes contribute their vertices
+                    const mode = primitive.mode !== undefined ? primitive.mode : 4;
+                    if (mode === 4) {
+                        if (primitive.indices !== undefined) {
+                            const indexData = this.readAccessor(json, buffers, primitive.indices);
+                            for (let i = 0; i < indexData.count; i++) {
+                                indices.push(base + indexData.values[i]);
+                            }
+                        } else {
+                            for (let i = 0; i < vertexData.count; i++) {
+                                indices.push(base + i);
+                            }
+                        }
+                    }
+                }
+            }
+
+            for (const child of node.children || []) {
+                visit(child, matrix);
+            }
+        };
+
+        const scene = json.scenes ? json.scenes[json.scene || 0] : null;
+        const roots = scene ? scene.nodes : (json.nodes || []).map((node, index) => index);
+        for (const root of roots) {
+            visit(root, new THREE.Matrix4());
+        }
+
+        return {
+            positions: Float32Array.from(positions),
+            colors: hasColors ? Float32Array.from(colors) : null,
+            indices: indices.length > 0 ? Uint32Array.from(indices) : null
+        };
+    }
+
+    // Accessor values as plain numbers, normalized integers mapped to 0-1
+    readAccessor(json, buffers, index) {
+        const accessor = json.accessors[index];
+        const size = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 }[accessor.type];
+        const types = {
+            5120: [Int8Array, 127],
+            5121: [Uint8Array, 255],
+            5122: [Int16Array, 32767],
+            5123: [Uint16Array, 65535],
+            5125: [Uint32Array, 4294967295],
+            5126: [Float32Array, 1]
+        };
+        const [ArrayType, maxValue] = types[accessor.componentType];
+        const values = new Float32Array(accessor.count * size);
+
+        if (accessor.bufferView === undefined) {
+            return { values: values, size: size, count: accessor.count };
+        }
+
+        const bufferView = json.bufferViews[accessor.bufferView];
+        const buffer = buffers[bufferView.buffer];
+        const offset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+        const elementBytes = ArrayType.BYTES_PER_ELEMENT * size;
+        const stride = bufferView.byteStride || elementBytes;
+        const scale = accessor.normalized ? 1 / maxValue : 1;
+        const view = new DataView(buffer);
+        const getters = {
+            5120: 'getInt8', 5121: 'getUint8', 5122: 'getInt16',
+            5123: 'getUint16', 5125: 'getUint32', 5126: 'getFloat32'
+        };
+        const getter = getters[accessor.componentType];
+
+        // DataView, since strided or odd offsets can't back a typed array
+        for (let i = 0; i < accessor.count; i++) {
+            for (let c = 0; c < size; c++) {
+                const byte = offset + i * stride + c * ArrayType.BYTES_PER_ELEMENT;
+                values[i * size + c] = view[getter](byte, true) * scale;
+            }
+        }
+
+        return { values: values, size: size, count: accessor.count };
+    }
+
+    // Positions (and colors) on the surface (area weighted) or at the vertices,
+    // centred and scaled to fit a sphere of the given radius
+    sample(model, count, random, options) {
+        const positions = new Float32Array(count * 3);
+        const colors = options.colors && model.colors ? new Float32Array(count * 3) : null;
+        const source = model.positions;
+        const vertexCount = source.length / 3;
+
+        const point = new Float32Array(3);
+        const color = new Float32Array(3);
+        const triangles = model.indices && options.mode === 'surface' ? model.indices : null;
+        const areas = triangles ? this.getCumulativeAreas(source, triangles) : null;
+
+        for (let i = 0; i < count; i++) {
+            if (triangles) {
+                // Pick a triangle by area, then a uniform point inside it
+                const target = random() * areas[areas.length - 1];
+                let low = 0;
+                let high = areas.length - 1;
+                while (low < high) {
+                    const mid = (low + high) >> 1;
+                    if (areas[mid] < target) low = mid + 1;
+                    else high = mid;
+                }
+
+                const a = triangles[low * 3];
+                const b = triangles[low * 3 + 1];
+                const c = triangles[low * 3 + 2];
+                let u = random();
+                let v = random();
+                if (u + v > 1) {
+                    u = 1 - u;
+                    v = 1 - v;
+                }
+                const w = 1 - u - v;
+                for (let k = 0; k < 3; k++) {
+                    point[k] = source[a * 3 + k] * w + source[b * 3 + k] * u + source[c * 3 + k] * v;
+                    if (colors) {
+                        color[k] = model.colors[a * 3 + k] * w + model.colors[b * 3 + k] * u + model.colors[c * 3 + k] * v;
+                    }
+                }
+            } else {
+                // Evenly strided over the vertices, or every vertex once before random repeats
+                let vertex;
+                if (count <= vertexCount) {
+                    vertex = Math.floor(i * vertexCount / count);
+                } else {
+                    vertex = i < vertexCount ? i : Math.floor(random() * vertexCount);
+                }
+                for (let k = 0; k < 3; k++) {
+                    point[k] = source[vertex * 3 + k];
+                    if (colors) {
+                        color[k] = model.colors[vertex * 3 + k];
+                    }
+                }
+            }
+
+            positions.set(point, i * 3);
+            if (colors) {
+                colors.set(color, i * 3);
+            }
+        }
+
+        this.normalize(positions, source, options.radius);
+        return { positions: positions, colors: colors };
+    }
+
+    getCumulativeAreas(positions, indices) {
+        const areas = new Float64Array(indices.length / 3);
+        const ab = new THREE.Vector3();
+        const ac = new THREE.Vector3();
+        let total = 0;
+        for (let t = 0; t < areas.length; t++) {
+            const a = indices[t * 3] * 3;
+            const b = indices[t * 3 + 1] * 3;
+            const c = indices[t * 3 + 2] * 3;
+            ab.set(positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]);
+            ac.set(positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]);
+            total += ab.cross(ac).length() / 2;
+            areas[t] = total;
+        }
+        return areas;
+    }
+
+    // Centres on the model's bounding box and scales its farthest vertex to radius
+    normalize(positions, source, radius) {
+        const box = new THREE.Box3().setFromArray(source);
+        const center = box.getCenter(new THREE.Vector3());
+
+        let maxDistance = 0;
+        for (let i = 0; i < source.length; i += 3) {
+            const dx = source[i] - center.x;
+            const dy = source[i + 1] - center.y;
+            const dz = source[i + 2] - center.z;
+            maxDistance = Math.max(maxDistance, dx * dx + dy * dy + dz * dz);
+        }
+        const scale = radius / (Math.sqrt(maxDistance) || 1);
+
+        for (let i = 0; i < positions.length; i += 3) {
+            positions[i] = (positions[i] - center.x) * scale;
+            positions[i + 1] = (positions[i + 1] - center.y) * scale;
+            positions[i + 2] = (positions[i + 2] - center.z) * scale;
+        }
+    }
+}
+
+// Export for use in other modules
+window.ModelLoader = ModelLoader;
+
+(function () {
+    const loader = new ModelLoader();
+
+    ParticleSystem.registerPattern('model', (count, random, params) => {
+        // Until a model is loaded, fall back to the sphere
+        if (!params.model) {
+            return ParticleSystem.patterns.sphere.generator(count, random, { radius: 15 * params.size, shell: 1 });
+        }
+
+        const model = loader.load(params.model);
+        return loader.sample(model, count, random, {
+            mode: params.sampling,
+            radius: 15 * params.size,
+            colors: params.modelColors
+        });
+    }, {
+        label: 'Model',
+        icon: '🗿',
+        params: {
+            model: { type: 'file', label: 'Model', accept: '.obj,.ply,.gltf,.glb', read: 'buffer', default: null },
+            sampling: {
+                type: 'select',
+                label: 'Sampling',
+                default: 'surface',
+                options: [
+                    { value: 'surface', label: 'Surface (area weighted)' },
+                    { value: 'vertices', label: 'Vertices' }
+                ]
+            },
+            modelColors: { type: 'boolean', label: 'Vertex Colors', default: true },
+            size: { type: 'float', label: 'Size', min: 0.2, max: 2, step: 0.05, default: 1 }
+        }
+    });
+})();
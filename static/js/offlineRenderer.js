@@ -0,0 +1,259 @@
+/**
+ * Offline Renderer Module
+ * Fixed-timestep frame rendering at any resolution (tiled past the GPU's limits) to PNG stills and sequences
+ */
+
+class OfflineRenderer {
+    constructor(particleSystem) {
+        this.particleSystem = particleSystem;
+
+        // Frames are assembled here from tiles, then encoded
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d');
+
+        this.maxTileSize = 4096; // Also bounded by the GPU's viewport and renderbuffer limits
+        this.tilePadding = 96; // Rendered around each tile and cropped, so bloom carries across seams
+        this.renderSize = { width: 0, height: 0 };
+
+        this.isRendering = false;
+        this.cancelled = false;
+
+        // Callbacks
+        this.onProgress = null; // (framesDone, frameCount)
+        this.onNotice = null; // (message)
+    }
+
+    static supportsFolderOutput() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    getMaxTileSize() {
+        const gl = this.particleSystem.renderer.getContext();
+        const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        return Math.min(this.maxTileSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), viewport[0], viewport[1]);
+    }
+
+    // One tile when the frame fits on the GPU, otherwise a grid of padded tiles
+    getTiles(width, height) {
+        const maxSize = this.getMaxTileSize();
+        if (width <= maxSize && height <= maxSize) {
+            return [{ x: 0, y: 0, width: width, height: height, padding: 0 }];
+        }
+
+        const core = maxSize - 2 * this.tilePadding;
+        const tiles = [];
+        for (let y = 0; y < height; y += core) {
+            for (let x = 0; x < width; x += core) {
+                tiles.push({
+                    x: x,
+                    y: y,
+                    width: Math.min(core, width - x),
+                    height: Math.min(core, height - y),
+                    padding: this.tilePadding
+                });
+            }
+        }
+        return tiles;
+    }
+
+    // Frame sequences go into a picked folder or a ZIP archive, each returns { write(name, blob), close() }
+    async openOutput(format) {
+        if (format === 'folder') {
+            const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            return {
+                write: async (name, blob) => {
+                    const handle = await directory.getFileHandle(name, { create: true });
+                    const writable = await handle.createWritable();
+                    await writable.write(blob);
+                    await writable.close();
+                },
+                close: async () => {}
+            };
+        }
+
+        const zip = new ZipWriter();
+        return {
+            write: (name, blob) => zip.addFile(name, blob),
+            close: async () => this.download(zip.toBlob(), `gesture-particles-${Date.now()}.zip`)
+        };
+    }
+
+    // A frame count of 1 renders the scene as it is now, longer runs restart the simulation
+    // and step it (and the timeline's gestures) by exactly 1 / frameRate per frame
+    async render({ width, height, frameRate = 30, frameCount = 1, format = 'zip', timeline = null }) {
+        if (this.isRendering) return false;
+
+        // Opened first: the folder picker only works within the click that started the render
+        const output = frameCount > 1 ? await this.openOutput(format) : null;
+
+        this.isRendering = true;
+        this.cancelled = false;
+        const tiles = this.getTiles(width, height);
+        const live = this.suspend(width, height, tiles.length > 1);
+
+        try {
+            this.canvas.width = width;
+            this.canvas.height = height;
+            const frameTime = 1 / frameRate;
+
+            // Its own clock, so the live pause and time scale don't reach the frames
+            const clock = new Clock();
+            clock.fixedStep = this.particleSystem.clock.fixedStep;
+
+            if (output) {
+                this.particleSystem.restartSimulation();
+                if (timeline) {
+                    timeline.seek(0);
+                }
+            }
+
+            for (let frame = 0; frame < frameCount && !this.cancelled; frame++) {
+                if (frame > 0) {
+                    if (timeline) {
+                        timeline.advance(frameTime * 1000);
+                    }
+                    this.particleSystem.update(clock.advance(frameTime));
+                }
+
+                this.renderFrame(tiles, width, height);
+                const blob = await this.encodeFrame();
+
+                if (output) {
+                    await output.write(`frame_${String(frame + 1).padStart(5, '0')}.png`, blob);
+                } else {
+                    this.download(blob, `gesture-particles-${width}x${height}-${Date.now()}.png`);
+                }
+                if (this.onProgress) {
+                    this.onProgress(frame + 1, frameCount);
+                }
+            }
+
+            if (output && !this.cancelled) {
+                await output.close();
+            }
+        } finally {
+            this.restore(live);
+            this.canvas.width = 1;
+            this.canvas.height = 1;
+            this.isRendering = false;
+        }
+        return !this.cancelled;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // Takes the particle system off the live loop, returns what restore() puts back
+    suspend(width, height, tiled) {
+        const ps = this.particleSystem;
+        const live = {
+            pixelRatio: ps.renderer.getPixelRatio(),
+            audioAnalyzer: ps.audioAnalyzer,
+            trailsEnabled: ps.trailsEnabled
+        };
+
+        ps.stopAnimation();
+        ps.cameraControls.enabled = false;
+
+        // Live audio would make every render different
+        ps.setAudioAnalyzer(null);
+
+        // Each tile would fade into the previous tile's history
+        if (tiled && live.trailsEnabled) {
+            if (this.onNotice) {
+                this.onNotice('Trails are skipped for frames this large');
+            }
+            ps.setTrailsEnabled(false);
+        }
+
+        // The bloom blur is in render-target pixels, so it widens with the output like the point sizes.
+        // Every tile uses the full frame's scale, since each one builds its mip chain from the tile size
+        ps.postProcessor.setBloomScale(height / ps.postProcessor.height);
+
+        ps.renderer.setPixelRatio(1);
+        ps.camera.aspect = width / height;
+        this.renderSize = { width: 0, height: 0 };
+
+        // Point sizes are in pixels, so they follow the output height to keep the window's look
+        ps.particles.material.uniforms.pixelRatio.value = height / window.innerHeight;
+
+        return live;
+    }
+
+    restore(live) {
+        const ps = this.particleSystem;
+
+        ps.camera.clearViewOffset();
+        ps.renderer.setPixelRatio(live.pixelRatio);
+        ps.particles.material.uniforms.pixelRatio.value = live.pixelRatio;
+        ps.postProcessor.setBloomScale(1);
+        ps.setAudioAnalyzer(live.audioAnalyzer);
+        if (live.trailsEnabled && !ps.trailsEnabled) {
+            ps.setTrailsEnabled(true);
+        }
+        ps.cameraControls.enabled = true;
+
+        ps.startAnimation();
+        ps.onWindowResize();
+    }
+
+    setRenderSize(width, height) {
+        if (this.renderSize.width === width && this.renderSize.height === height) return;
+
+        // The page layout keeps the canvas at window size while the drawing buffer changes
+        this.particleSystem.renderer.setSize(width, height, false);
+        this.particleSystem.postProcessor.setSize();
+        this.renderSize = { width: width, height: height };
+    }
+
+    renderFrame(tiles, width, height) {
+        const ps = this.particleSystem;
+        const ctx = this.context;
+
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, width, height);
+
+        for (const tile of tiles) {
+            const tileWidth = tile.width + 2 * tile.padding;
+            const tileHeight = tile.height + 2 * tile.padding;
+            this.setRenderSize(tileWidth, tileHeight);
+
+            // The tile's window into the full frame, padding included
+            ps.camera.setViewOffset(width, height, tile.x - tile.padding, tile.y - tile.padding, tileWidth, tileHeight);
+            ps.render();
+
+            ctx.drawImage(
+                ps.renderer.domElement,
+                tile.padding, tile.padding, tile.width, tile.height,
+                tile.x, tile.y, tile.width, tile.height
+            );
+        }
+    }
+
+    encodeFrame() {
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode the frame'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in other modules
+window.OfflineRenderer = OfflineRenderer;
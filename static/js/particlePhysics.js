@@ -0,0 +1,220 @@
+/**
+ * Particle Physics Module
+ * Spring/damper integrator with mass variation and pluggable force fields
+ */
+
+class ForceField {
+    constructor(type, options = {}) {
+        const defaults = ForceField.getDefaults(type);
+        this.type = type; // 'attractor', 'repeller', 'vortex', 'turbulence' or 'gravity'
+        this.strength = options.strength !== undefined ? options.strength : defaults.strength;
+        this.radius = options.radius !== undefined ? options.radius : defaults.radius;
+        this.position = options.position ? options.position.clone() : new THREE.Vector3();
+        this.direction = (options.direction ? options.direction.clone() : defaults.direction).normalize();
+        this.enabled = true;
+    }
+
+    static getDefaults(type) {
+        switch (type) {
+            case 'vortex':
+                return { strength: 60, radius: 15, direction: new THREE.Vector3(0, 1, 0) };
+            case 'turbulence':
+                return { strength: 50, radius: 6, direction: new THREE.Vector3(0, 1, 0) };
+            case 'gravity':
+                return { strength: 15, radius: 1, direction: new THREE.Vector3(0, -1, 0) };
+            default:
+                return { strength: 80, radius: 10, direction: new THREE.Vector3(0, 1, 0) };
+        }
+    }
+
+    // Adds this field's force on a particle at (x, y, z) to out
+    apply(x, y, z, mass, time, out) {
+        switch (this.type) {
+            case 'attractor':
+            case 'repeller': {
+                const sign = this.type === 'attractor' ? 1 : -1;
+                ForceField.applyPoint(this.position, sign * this.strength, this.radius, x, y, z, out);
+                break;
+            }
+
+            case 'vortex': {
+                // Swirl around the axis through position, fading with distance from the axis
+                const axis = this.direction;
+                const rx = x - this.position.x;
+                const ry = y - this.position.y;
+                const rz = z - this.position.z;
+                const along = rx * axis.x + ry * axis.y + rz * axis.z;
+                const px = rx - axis.x * along;
+                const py = ry - axis.y * along;
+                const pz = rz - axis.z * along;
+                const distance = Math.sqrt(px * px + py * py + pz * pz) + 1e-3;
+                const falloff = this.strength / (1 + (distance / this.radius) * (distance / this.radius)) / distance;
+                out.x += (axis.y * pz - axis.z * py) * falloff;
+                out.y += (axis.z * px - axis.x * pz) * falloff;
+                out.z += (axis.x * py - axis.y * px) * falloff;
+                break;
+            }
+
+            case 'turbulence': {
+                // Curl of a sine vector potential, divergence free so particles swirl without clumping
+                const frequency = 1 / this.radius;
+                const t = time * 0.5;
+                const scale = this.strength * 0.5;
+                out.x += (Math.sin(z * frequency + t) - Math.sin(y * frequency * 1.7 + t * 1.3)) * scale;
+                out.y += (Math.sin(x * frequency + t * 0.8) - Math.sin(z * frequency * 1.7 + t * 1.1)) * scale;
+                out.z += (Math.sin(y * frequency + t * 1.2) - Math.sin(x * frequency * 1.7 + t * 0.9)) * scale;
+                break;
+            }
+
+            case 'gravity':
+                out.x += this.direction.x * this.strength * mass;
+                out.y += this.direction.y * this.strength * mass;
+                out.z += this.direction.z * this.strength * mass;
+                break;
+        }
+    }
+
+    // Positive strength pulls towards center, negative pushes away
+    static applyPoint(center, strength, radius, x, y, z, out) {
+        const dx = center.x - x;
+        const dy = center.y - y;
+        const dz = center.z - z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz) + 1e-3;
+        const falloff = strength / (1 + (distance / radius) * (distance / radius)) / distance;
+        out.x += dx * falloff;
+        out.y += dy * falloff;
+        out.z += dz * falloff;
+    }
+}
+
+class ParticlePhysics {
+    constructor() {
+        this.stiffness = 20; // Spring pulling each particle to its pattern position
+        this.damping = 4; // Drag on velocity
+        this.massVariation = 0.5; // Masses spread over 1 ± variation
+        this.floatStrength = 6; // Gentle vertical sway
+        this.maxSpeed = 200;
+        this.maxFields = 8; // Uniform slots on the GPU path
+
+        // Hands act as a point force: a fist attracts, an open hand repels
+        this.handStrength = 150;
+        this.handRadius = 12;
+        this.hands = [
+            { active: false, position: new THREE.Vector3(), strength: 0 },
+            { active: false, position: new THREE.Vector3(), strength: 0 }
+        ];
+        this.splitIndex = Infinity; // Particles from here on follow the second hand
+
+        this.fields = [];
+    }
+
+    addField(field) {
+        if (this.fields.length >= this.maxFields) {
+            console.warn(`At most ${this.maxFields} force fields are supported`);
+            return null;
+        }
+        this.fields.push(field);
+        return field;
+    }
+
+    removeField(field) {
+        this.fields = this.fields.filter(f => f !== field);
+    }
+
+    clearFields() {
+        this.fields = [];
+    }
+
+    setHand(slot, position, openness, sensitivity) {
+        const hand = this.hands[slot];
+        hand.active = true;
+        hand.position.copy(position);
+        hand.strength = (0.5 - openness) * 2 * this.handStrength * sensitivity;
+    }
+
+    clearHands() {
+        for (const hand of this.hands) {
+            hand.active = false;
+        }
+        this.splitIndex = Infinity;
+    }
+
+    getMass(seed) {
+        return 1 + (seed * 2 - 1) * this.massVariation;
+    }
+
+    // Semi-implicit Euler step with implicit drag, so large damping stays stable
+    step(positions, velocities, anchors, massSeeds, count, dt, time) {
+        const fields = this.fields.filter(field => field.enabled);
+        const force = { x: 0, y: 0, z: 0 };
+
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+            const x = positions[i3];
+            const y = positions[i3 + 1];
+            const z = positions[i3 + 2];
+            const mass = this.getMass(massSeeds[i]);
+
+            // Spring towards the pattern position
+            force.x = (anchors[i3] - x) * this.stiffness;
+            force.y = (anchors[i3 + 1] - y) * this.stiffness;
+            force.z = (anchors[i3 + 2] - z) * this.stiffness;
+
+            // Subtle floating animation
+            const floatSpeed = 0.5 + (i / count) * 0.5;
+            force.y += Math.sin(time * floatSpeed + i * 0.1) * this.floatStrength;
+
+            const hand = i < this.splitIndex ? this.hands[0] : this.hands[1];
+            if (hand.active) {
+                ForceField.applyPoint(hand.position, hand.strength, this.handRadius, x, y, z, force);
+            }
+
+            for (const field of fields) {
+                field.apply(x, y, z, mass, time, force);
+            }
+
+            const drag = 1 + this.damping * dt / mass;
+            let vx = (velocities[i3] + force.x / mass * dt) / drag;
+            let vy = (velocities[i3 + 1] + force.y / mass * dt) / drag;
+            let vz = (velocities[i3 + 2] + force.z / mass * dt) / drag;
+
+            const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+            if (speed > this.maxSpeed) {
+                const limit = this.maxSpeed / speed;
+                vx *= limit;
+                vy *= limit;
+                vz *= limit;
+            }
+
+            velocities[i3] = vx;
+            velocities[i3 + 1] = vy;
+            velocities[i3 + 2] = vz;
+            positions[i3] = x + vx * dt;
+            positions[i3 + 1] = y + vy * dt;
+            positions[i3 + 2] = z + vz * dt;
+        }
+    }
+
+    // Packs enabled fields into the GPU simulation's uniform arrays
+    writeFieldUniforms(params, positions, directions) {
+        const types = ['attractor', 'repeller', 'vortex', 'turbulence', 'gravity'];
+        const fields = this.fields.filter(field => field.enabled);
+
+        for (let i = 0; i < this.maxFields; i++) {
+            const field = fields[i];
+            if (!field) {
+                params[i].set(-1, 0, 1, 0);
+                continue;
+            }
+            params[i].set(types.indexOf(field.type), field.strength, field.radius, 0);
+            positions[i].copy(field.position);
+            directions[i].copy(field.direction);
+        }
+
+        return fields.length;
+    }
+}
+
+// Export for use in other modules
+window.ForceField = ForceField;
+window.ParticlePhysics = ParticlePhysics;
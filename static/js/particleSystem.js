@@ -14,18 +14,41 @@ class ParticleSystem {
         this.particleSize = 2;
         this.animationSpeed = 1.0;
         this.currentPattern = 'sphere';
+        this.patternSeed = 1;
+        this.patternParams = {}; // Overrides of each pattern's schema defaults, by pattern name
+        this.patternColors = null; // Per-particle RGB when the current pattern supplies colors
         this.primaryColor = new THREE.Color(0x00d4ff);
         this.secondaryColor = new THREE.Color(0xff00d4);
         this.targetPositions = [];
         this.originalPositions = [];
         this.velocities = [];
+        this.massSeeds = [];
+        this.sizeFactors = []; // Per-particle size variation, times particleSize
+        this.simPositions = []; // CPU path: positions after the latest step
+        this.previousPositions = []; // and after the step before, drawn in between
+        this.physics = new ParticlePhysics();
+        this.morph = new PatternMorph();
+        this.handPosition = new THREE.Vector3();
         this.gestureInfluence = 0;
         this.gesturePosition = { x: 0, y: 0 };
+        this.multiHandMode = 'steer';
         this.time = 0;
         this.bloomEnabled = true;
         this.trailsEnabled = false;
         this.bloomStrength = 1.2;
+        this.postProcessor = null;
+        this.cameraControls = null;
+        this.audioAnalyzer = null; // AudioAnalyzer feeding band levels each frame
+        this.audioReactivity = 1.0;
+        this.twinkleTime = 0; // Twinkle phase, runs faster with the treble
+        this.frameDelta = 1 / 60; // Length of the last display frame, trails fade by it
+        this.audioLevels = { amount: 0, bass: 0, mid: 0, treble: 0, beat: 0 }; // Read once per display frame
+        this.simulation = null; // GPUSimulation when float render targets are available
+        this.gpuTextureType = null;
+        this.maxParticleCount = 20000;
+        this.clock = new Clock();
         this.isAnimating = true;
+        this.animationFrame = null;
         
         this.init();
     }
@@ -52,6 +75,20 @@ class ParticleSystem {
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
         this.container.appendChild(this.renderer.domElement);
 
+        // Orbit, pan and zoom around the particles
+        this.cameraControls = new CameraControls(this.camera, this.renderer.domElement);
+
+        // Post processing (trails, bloom)
+        this.postProcessor = new PostProcessor(this.renderer);
+
+        // Simulate on the GPU when possible, the CPU path caps the particle count
+        this.gpuTextureType = GPUSimulation.getSupportedType(this.renderer);
+        if (this.gpuTextureType) {
+            this.maxParticleCount = 1000000;
+        } else {
+            console.warn('Float render targets unavailable, simulating particles on the CPU');
+        }
+
         // Create particles
         this.createParticles();
 
@@ -73,6 +110,12 @@ class ParticleSystem {
             this.particles.geometry.dispose();
             this.particles.material.dispose();
         }
+        if (this.simulation) {
+            this.simulation.dispose();
+            this.simulation = null;
+        }
+        this.morph.cancel();
+        this.morph.resetOrder(this.particleCount);
 
         // Create geometry
         const geometry = new THREE.BufferGeometry();
@@ -83,12 +126,16 @@ class ParticleSystem {
         const randomSeeds = new Float32Array(this.particleCount);
 
         // Initialize arrays
-        this.targetPositions = [];
-        this.originalPositions = [];
-        this.velocities = [];
+        this.targetPositions = new Float32Array(this.particleCount * 3);
+        this.originalPositions = new Float32Array(this.particleCount * 3);
+        this.velocities = new Float32Array(this.particleCount * 3);
+        this.massSeeds = new Float32Array(this.particleCount);
+        this.sizeFactors = new Float32Array(this.particleCount);
 
         // Generate pattern positions
-        const patternPositions = this.generatePattern(this.currentPattern);
+        const generated = this.generatePattern(this.currentPattern);
+        const patternPositions = generated.positions;
+        this.patternColors = generated.colors;
 
         for (let i = 0; i < this.particleCount; i++) {
             const i3 = i * 3;
@@ -99,54 +146,54 @@ class ParticleSystem {
             positions[i3 + 2] = patternPositions[i3 + 2];
 
             // Store original and target positions
-            this.originalPositions.push(
-                positions[i3],
-                positions[i3 + 1],
-                positions[i3 + 2]
-            );
-            this.targetPositions.push(
-                positions[i3],
-                positions[i3 + 1],
-                positions[i3 + 2]
-            );
+            this.originalPositions[i3] = positions[i3];
+            this.originalPositions[i3 + 1] = positions[i3 + 1];
+            this.originalPositions[i3 + 2] = positions[i3 + 2];
+            this.targetPositions[i3] = positions[i3];
+            this.targetPositions[i3 + 1] = positions[i3 + 1];
+            this.targetPositions[i3 + 2] = positions[i3 + 2];
 
-            // Velocities
-            this.velocities.push(0, 0, 0);
-
-            // Color gradient with more saturation
-            const t = i / this.particleCount;
-            const color = new THREE.Color().lerpColors(this.primaryColor, this.secondaryColor, t);
-            // Increase color saturation
-            const hsl = {};
-            color.getHSL(hsl);
-            color.setHSL(hsl.h, Math.min(hsl.s * 1.2, 1.0), Math.min(hsl.l * 1.1, 0.7));
-            colors[i3] = color.r;
-            colors[i3 + 1] = color.g;
-            colors[i3 + 2] = color.b;
-
-            // Size variation - small star sizes
-            sizes[i] = this.particleSize * (0.4 + Math.random() * 0.6);
+            // Size variation - small star sizes, kept so a new size doesn't re-roll it
+            this.sizeFactors[i] = 0.4 + Math.random() * 0.6;
+            sizes[i] = this.particleSize * this.sizeFactors[i];
 
             // Alpha - varied for depth
             alphas[i] = 0.7 + Math.random() * 0.3;
             
             // Random seed for twinkling
             randomSeeds[i] = Math.random();
+
+            // Mass variation seed
+            this.massSeeds[i] = Math.random();
         }
 
+        this.writeColors(colors);
+        this.simPositions = positions.slice();
+        this.previousPositions = positions.slice();
+
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
         geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
         geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1));
         geometry.setAttribute('randomSeed', new THREE.BufferAttribute(randomSeeds, 1));
 
+        // GPU path: positions live in a float texture, each vertex looks up its texel
+        if (this.gpuTextureType) {
+            this.simulation = new GPUSimulation(this.renderer, this.particleCount, patternPositions, this.gpuTextureType, this.physics);
+            geometry.setAttribute('reference', new THREE.BufferAttribute(this.simulation.createReferences(), 2));
+        }
+
         // Shader material for twinkling star particles with glow
         const material = new THREE.ShaderMaterial({
             uniforms: {
                 time: { value: 0 },
+                hueShift: { value: 0 },
                 pixelRatio: { value: this.renderer.getPixelRatio() },
-                bloomStrength: { value: this.bloomStrength }
+                positionTexture: { value: this.simulation ? this.simulation.getPositionTexture() : null },
+                previousPositionTexture: { value: this.simulation ? this.simulation.getPreviousPositionTexture() : null },
+                interpolation: { value: 1 }
             },
+            defines: this.simulation ? { USE_GPU_SIMULATION: '' } : {},
             vertexShader: `
                 attribute float size;
                 attribute float alpha;
@@ -155,10 +202,26 @@ class ParticleSystem {
                 varying float vAlpha;
                 varying float vRandom;
                 uniform float time;
+                uniform float hueShift;
                 uniform float pixelRatio;
                 
+                #ifdef USE_GPU_SIMULATION
+                attribute vec2 reference;
+                uniform sampler2D positionTexture;
+                uniform sampler2D previousPositionTexture;
+                uniform float interpolation;
+                #endif
+                
+                // Hue rotation as a turn about the grey axis (Rodrigues)
+                vec3 shiftHue(vec3 rgb, float shift) {
+                    const vec3 k = vec3(0.57735);
+                    float angle = shift * 6.28318;
+                    float c = cos(angle);
+                    return rgb * c + cross(k, rgb) * sin(angle) + k * dot(k, rgb) * (1.0 - c);
+                }
+                
                 void main() {
-                    vColor = color;
+                    vColor = shiftHue(color, hueShift);
                     vRandom = randomSeed;
                     
                     // Twinkling effect - vary alpha based on time and random seed
@@ -166,7 +229,16 @@ class ParticleSystem {
                     float twinkle2 = sin(time * 5.0 + randomSeed * 12.56) * 0.2 + 0.8;
                     vAlpha = alpha * twinkle * twinkle2;
                     
-                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    vec3 particlePosition = position;
+                    #ifdef USE_GPU_SIMULATION
+                    particlePosition = mix(
+                        texture2D(previousPositionTexture, reference).xyz,
+                        texture2D(positionTexture, reference).xyz,
+                        interpolation
+                    );
+                    #endif
+                    
+                    vec4 mvPosition = modelViewMatrix * vec4(particlePosition, 1.0);
                     gl_PointSize = size * pixelRatio * (150.0 / -mvPosition.z);
                     gl_Position = projectionMatrix * mvPosition;
                 }
@@ -175,7 +247,6 @@ class ParticleSystem {
                 varying vec3 vColor;
                 varying float vAlpha;
                 varying float vRandom;
-                uniform float bloomStrength;
                 uniform float time;
                 
                 void main() {
@@ -188,8 +259,8 @@ class ParticleSystem {
                     float crossShape = min(absCenter.x + absCenter.y * 0.5, absCenter.y + absCenter.x * 0.5);
                     float star = min(starShape, crossShape * 1.5);
                     
-                    // Outer glow
-                    float glow = exp(-dist * 4.0) * bloomStrength * 0.8;
+                    // Faint halo, the wide glow comes from the bloom pass
+                    float halo = exp(-dist * 6.0) * 0.3;
                     
                     // Sharp bright core
                     float core = smoothstep(0.15, 0.0, star);
@@ -198,14 +269,14 @@ class ParticleSystem {
                     float rays = smoothstep(0.25, 0.05, crossShape) * smoothstep(0.4, 0.1, dist);
                     
                     // Combine core and rays
-                    float brightness = core + rays * 0.6 + glow;
+                    float brightness = core + rays * 0.6 + halo;
                     
                     // Color with white-hot center
                     vec3 coreColor = mix(vColor, vec3(1.0), core * 0.7);
                     vec3 finalColor = coreColor * brightness * 1.5;
                     
                     // Final alpha
-                    float alpha = (core + rays * 0.5 + glow * 0.5) * vAlpha;
+                    float alpha = (core + rays * 0.5 + halo * 0.5) * vAlpha;
                     
                     if (alpha < 0.01) discard;
                     
@@ -220,140 +291,194 @@ class ParticleSystem {
         });
 
         this.particles = new THREE.Points(geometry, material);
+        // Bounds come from the CPU positions, which the GPU path doesn't update
+        this.particles.frustumCulled = !this.simulation;
         this.scene.add(this.particles);
     }
 
+    // Registers a shape: generator(count, random, params) returns count * 3 positions
+    // (or { positions, colors } to color the particles too).
+    // metadata: { label, preview (CSS class) or icon (text) for the pattern button,
+    //             params: { key: { type, label, default, ... } } }, where type is 'int' or 'float'
+    //             (min, max, step), 'string', 'boolean', 'select' (options) or 'file' (accept)
+    static registerPattern(name, generator, metadata = {}) {
+        const entry = {
+            ...metadata,
+            name: name,
+            label: metadata.label || name,
+            params: metadata.params || {},
+            generator: generator
+        };
+        ParticleSystem.patterns[name] = entry;
+        window.dispatchEvent(new CustomEvent('patternregistered', { detail: entry }));
+    }
+
+    static getPatterns() {
+        return Object.values(ParticleSystem.patterns);
+    }
+
+    // Seeded RNG (mulberry32), so a pattern regenerates identically
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
     generatePattern(pattern) {
-        const positions = new Float32Array(this.particleCount * 3);
-        const radius = 15;
+        const entry = ParticleSystem.patterns[pattern];
+        if (!entry) {
+            throw new Error(`Unknown pattern "${pattern}"`);
+        }
 
-        for (let i = 0; i < this.particleCount; i++) {
-            const i3 = i * 3;
-            let x, y, z;
-
-            switch (pattern) {
-                case 'sphere':
-                    const phi = Math.acos(2 * Math.random() - 1);
-                    const theta = Math.random() * Math.PI * 2;
-                    const r = radius * Math.cbrt(Math.random());
-                    x = r * Math.sin(phi) * Math.cos(theta);
-                    y = r * Math.sin(phi) * Math.sin(theta);
-                    z = r * Math.cos(phi);
-                    break;
-
-                case 'cube':
-                    x = (Math.random() - 0.5) * radius * 2;
-                    y = (Math.random() - 0.5) * radius * 2;
-                    z = (Math.random() - 0.5) * radius * 2;
-                    break;
-
-                case 'torus':
-                    const torusAngle = Math.random() * Math.PI * 2;
-                    const tubeAngle = Math.random() * Math.PI * 2;
-                    const torusRadius = radius * 0.8;
-                    const tubeRadius = radius * 0.3 * Math.random();
-                    x = (torusRadius + tubeRadius * Math.cos(tubeAngle)) * Math.cos(torusAngle);
-                    y = tubeRadius * Math.sin(tubeAngle);
-                    z = (torusRadius + tubeRadius * Math.cos(tubeAngle)) * Math.sin(torusAngle);
-                    break;
-
-                case 'spiral':
-                    const spiralT = (i / this.particleCount) * Math.PI * 8;
-                    const spiralRadius = radius * (0.2 + (i / this.particleCount) * 0.8);
-                    x = spiralRadius * Math.cos(spiralT) + (Math.random() - 0.5) * 2;
-                    y = (i / this.particleCount - 0.5) * radius * 2;
-                    z = spiralRadius * Math.sin(spiralT) + (Math.random() - 0.5) * 2;
-                    break;
-
-                case 'galaxy':
-                    const arm = Math.floor(Math.random() * 3);
-                    const armAngle = (arm / 3) * Math.PI * 2;
-                    const dist = Math.random() * radius;
-                    const spread = (1 - dist / radius) * 0.5;
-                    const galaxyAngle = armAngle + (dist / radius) * Math.PI * 2;
-                    x = dist * Math.cos(galaxyAngle) + (Math.random() - 0.5) * spread * radius;
-                    y = (Math.random() - 0.5) * spread * radius * 0.3;
-                    z = dist * Math.sin(galaxyAngle) + (Math.random() - 0.5) * spread * radius;
-                    break;
-
-                case 'heart':
-                    const ht = (i / this.particleCount) * Math.PI * 2;
-                    const heartScale = radius * 0.8;
-                    x = heartScale * 0.8 * (16 * Math.pow(Math.sin(ht), 3)) / 16;
-                    y = heartScale * 0.8 * (13 * Math.cos(ht) - 5 * Math.cos(2*ht) - 2 * Math.cos(3*ht) - Math.cos(4*ht)) / 16;
-                    z = (Math.random() - 0.5) * radius * 0.5;
-                    // Add noise
-                    x += (Math.random() - 0.5) * 1.5;
-                    y += (Math.random() - 0.5) * 1.5;
-                    break;
-
-                case 'dna':
-                    const dnaT = (i / this.particleCount) * Math.PI * 6;
-                    const strand = i % 2;
-                    const dnaRadius = radius * 0.4;
-                    const dnaOffset = strand * Math.PI;
-                    x = dnaRadius * Math.cos(dnaT + dnaOffset) + (Math.random() - 0.5) * 1;
-                    y = (i / this.particleCount - 0.5) * radius * 3;
-                    z = dnaRadius * Math.sin(dnaT + dnaOffset) + (Math.random() - 0.5) * 1;
-                    break;
-
-                case 'wave':
-                    const waveX = (i % 100) / 100 - 0.5;
-                    const waveZ = Math.floor(i / 100) / (this.particleCount / 100) - 0.5;
-                    x = waveX * radius * 3;
-                    z = waveZ * radius * 3;
-                    y = Math.sin(waveX * Math.PI * 4) * Math.cos(waveZ * Math.PI * 4) * radius * 0.5;
-                    y += (Math.random() - 0.5) * 1;
-                    break;
-
-                default:
-                    x = (Math.random() - 0.5) * radius * 2;
-                    y = (Math.random() - 0.5) * radius * 2;
-                    z = (Math.random() - 0.5) * radius * 2;
-            }
+        const random = ParticleSystem.createRandom(this.patternSeed);
+        const result = entry.generator(this.particleCount, random, this.getPatternParams(pattern));
 
-            positions[i3] = x;
-            positions[i3 + 1] = y;
-            positions[i3 + 2] = z;
+        // Generators return positions, or { positions, colors } with 0-1 RGB per particle
+        const positions = result && result.positions ? result.positions : result;
+        const colors = result && result.positions ? result.colors : null;
+        if (!positions || positions.length < this.particleCount * 3) {
+            throw new Error(`Pattern "${pattern}" returned too few positions`);
         }
 
-        return positions;
+        const toFloat32 = (values) => (values instanceof Float32Array ? values : Float32Array.from(values));
+        return {
+            positions: toFloat32(positions),
+            colors: colors ? toFloat32(colors) : null
+        };
     }
 
-    setPattern(pattern) {
+    setPattern(pattern, morph = true) {
+        // Target positions are the spring anchors, the morph moves them from the current
+        // pattern to the new one and particles follow under physics
+        const generated = this.generatePattern(pattern);
+        const samePattern = pattern === this.currentPattern;
         this.currentPattern = pattern;
-        const newPositions = this.generatePattern(pattern);
-        
-        for (let i = 0; i < this.particleCount * 3; i++) {
-            this.targetPositions[i] = newPositions[i];
-            this.originalPositions[i] = newPositions[i];
+
+        // A morph still running on the GPU only has its anchors there, so they're caught up first
+        if (this.simulation && this.morph.isActive) {
+            this.morph.write(this.targetPositions);
+        }
+
+        // New parameters for the same pattern keep the particle assignment rather than sorting again
+        const assigned = this.morph.start(this.targetPositions, generated.positions, this.particleCount, samePattern);
+        this.originalPositions.set(assigned);
+        if (!morph) {
+            this.morph.cancel();
+        }
+
+        // Pattern colors travel with their positions, the gradient returns when a pattern has none
+        const hadColors = !!this.patternColors;
+        this.patternColors = generated.colors ? PatternMorph.reorder(generated.colors, this.morph.order, 3) : null;
+        if (this.patternColors || hadColors) {
+            this.refreshColors();
+        }
+
+        if (!this.morph.isActive) {
+            this.targetPositions.set(assigned);
+            this.syncAnchors();
+        } else if (this.simulation) {
+            this.simulation.startMorph(this.morph);
         }
     }
 
+    // Schema defaults merged with any overrides
+    getPatternParams(pattern) {
+        const schema = ParticleSystem.patterns[pattern] ? ParticleSystem.patterns[pattern].params : {};
+        const params = {};
+        for (const key of Object.keys(schema)) {
+            params[key] = schema[key].default;
+        }
+        return { ...params, ...this.patternParams[pattern] };
+    }
+
+    setPatternParams(pattern, params) {
+        const schema = ParticleSystem.patterns[pattern] ? ParticleSystem.patterns[pattern].params : {};
+        const overrides = { ...this.patternParams[pattern] };
+
+        for (const key of Object.keys(params)) {
+            const info = schema[key];
+            let value = params[key];
+            if (info && (info.type === 'int' || info.type === 'float')) {
+                value = Math.max(info.min, Math.min(info.max, value));
+                if (info.type === 'int') {
+                    value = Math.round(value);
+                }
+            }
+            overrides[key] = value;
+        }
+        this.patternParams[pattern] = overrides;
+
+        // Live tuning skips the morph, the springs still smooth the change
+        if (pattern === this.currentPattern) {
+            this.setPattern(pattern, false);
+        }
+    }
+
+    resetPatternParams() {
+        this.patternParams = {};
+    }
+
+    syncAnchors() {
+        if (this.simulation) {
+            this.simulation.setOriginalPositions(this.targetPositions);
+        }
+    }
+
+    setMorphDuration(seconds) {
+        this.morph.duration = seconds;
+    }
+
+    setMorphEasing(easing) {
+        this.morph.easing = easing;
+    }
+
+    setMorphAssignment(assignment) {
+        this.morph.assignment = assignment;
+    }
+
     setColors(primary, secondary) {
         this.primaryColor = new THREE.Color(primary);
         this.secondaryColor = new THREE.Color(secondary);
-        
+        this.refreshColors();
+    }
+
+    refreshColors() {
         if (this.particles) {
-            const colors = this.particles.geometry.attributes.color.array;
-            for (let i = 0; i < this.particleCount; i++) {
-                const i3 = i * 3;
-                const t = i / this.particleCount;
-                const color = new THREE.Color().lerpColors(this.primaryColor, this.secondaryColor, t);
-                // Increase color saturation
-                const hsl = {};
-                color.getHSL(hsl);
-                color.setHSL(hsl.h, Math.min(hsl.s * 1.2, 1.0), Math.min(hsl.l * 1.1, 0.7));
-                colors[i3] = color.r;
-                colors[i3 + 1] = color.g;
-                colors[i3 + 2] = color.b;
-            }
+            this.writeColors(this.particles.geometry.attributes.color.array);
             this.particles.geometry.attributes.color.needsUpdate = true;
         }
     }
 
+    writeColors(colors) {
+        if (this.patternColors) {
+            colors.set(this.patternColors.subarray(0, this.particleCount * 3));
+            return;
+        }
+
+        // Reused for every particle, a million short-lived colors would churn the garbage collector
+        const color = new THREE.Color();
+        const hsl = {};
+        for (let i = 0; i < this.particleCount; i++) {
+            const i3 = i * 3;
+            // Color gradient with more saturation
+            const t = i / this.particleCount;
+            color.lerpColors(this.primaryColor, this.secondaryColor, t);
+            // Increase color saturation
+            color.getHSL(hsl);
+            color.setHSL(hsl.h, Math.min(hsl.s * 1.2, 1.0), Math.min(hsl.l * 1.1, 0.7));
+            colors[i3] = color.r;
+            colors[i3 + 1] = color.g;
+            colors[i3 + 2] = color.b;
+        }
+    }
+
     setParticleCount(count) {
-        this.particleCount = count;
+        this.particleCount = Math.min(count, this.maxParticleCount);
         this.createParticles();
     }
 
@@ -362,7 +487,7 @@ class ParticleSystem {
         if (this.particles) {
             const sizes = this.particles.geometry.attributes.size.array;
             for (let i = 0; i < this.particleCount; i++) {
-                sizes[i] = size * (0.5 + Math.random() * 0.5);
+                sizes[i] = size * this.sizeFactors[i];
             }
             this.particles.geometry.attributes.size.needsUpdate = true;
         }
@@ -374,18 +499,73 @@ class ParticleSystem {
 
     setBloomStrength(strength) {
         this.bloomStrength = strength;
-        if (this.particles && this.particles.material.uniforms) {
-            this.particles.material.uniforms.bloomStrength.value = strength;
-        }
+        this.postProcessor.setBloomStrength(strength);
     }
 
     setBloomEnabled(enabled) {
+        // Strength is kept so re-enabling restores the slider value
         this.bloomEnabled = enabled;
-        this.setBloomStrength(enabled ? this.bloomStrength : 0);
+        this.postProcessor.setBloomEnabled(enabled);
+    }
+
+    setBloomThreshold(threshold) {
+        this.postProcessor.setBloomThreshold(threshold);
+    }
+
+    setBloomRadius(radius) {
+        this.postProcessor.setBloomRadius(radius);
     }
 
     setTrailsEnabled(enabled) {
         this.trailsEnabled = enabled;
+        this.postProcessor.setTrailsEnabled(enabled);
+    }
+
+    setTrailLength(seconds) {
+        this.postProcessor.setTrailLength(seconds);
+    }
+
+    setTrailDecay(decay) {
+        this.postProcessor.setTrailDecay(decay);
+    }
+
+    setAudioAnalyzer(analyzer) {
+        this.audioAnalyzer = analyzer;
+    }
+
+    setAudioReactivity(amount) {
+        this.audioReactivity = amount;
+    }
+
+    // Reads the analyser once per display frame, in real time, so the music is followed while paused or slowed
+    readAudio(delta) {
+        const analyzer = this.audioAnalyzer;
+        const levels = analyzer && analyzer.isActive() ? analyzer.update(delta) : null;
+        this.audioLevels = {
+            amount: levels ? this.audioReactivity : 0,
+            bass: levels ? levels.bass : 0,
+            mid: levels ? levels.mid : 0,
+            treble: levels ? levels.treble : 0,
+            beat: levels ? levels.beat : 0
+        };
+    }
+
+    updateAudio() {
+        const { amount, bass, mid, beat } = this.audioLevels;
+
+        // Audio adds to the hand rather than replacing it: an open hand widens the pulse, a fist tightens it
+        const pulse = amount * (bass * 0.25 + beat * 0.15) * (0.5 + this.gestureInfluence);
+
+        if (this.particles) {
+            this.particles.scale.setScalar(1 + pulse);
+            this.particles.material.uniforms.time.value = this.twinkleTime;
+            this.particles.material.uniforms.hueShift.value = amount * (mid * 0.15 + beat * 0.1);
+        }
+
+        // Applied per frame on top of the slider value, which stays as set
+        if (this.bloomEnabled) {
+            this.postProcessor.setBloomStrength(this.bloomStrength * (1 + amount * (bass * 0.5 + beat)));
+        }
     }
 
     updateGestureInfluence(openness, position, sensitivity = 1.0) {
@@ -393,123 +573,292 @@ class ParticleSystem {
         this.gestureInfluence = openness;
         this.gesturePosition = position;
         
-        const positions = this.particles.geometry.attributes.position.array;
-        
-        for (let i = 0; i < this.particleCount; i++) {
-            const i3 = i * 3;
-            
-            // Base target position
-            let tx = this.originalPositions[i3];
-            let ty = this.originalPositions[i3 + 1];
-            let tz = this.originalPositions[i3 + 2];
-            
-            // Apply gesture influence
-            const scale = 0.3 + openness * 1.7; // Scale from 0.3 to 2.0
-            tx *= scale;
-            ty *= scale;
-            tz *= scale;
-            
-            // Add dispersion based on hand openness
-            if (openness > 0.7) {
-                const dispersion = (openness - 0.7) * 3 * sensitivity;
-                tx += (Math.random() - 0.5) * dispersion * 10;
-                ty += (Math.random() - 0.5) * dispersion * 10;
-                tz += (Math.random() - 0.5) * dispersion * 10;
-            }
-            
-            // Move particles towards gesture position
-            const gesturePull = sensitivity * 0.3;
-            tx += (position.x - 0.5) * 20 * gesturePull;
-            ty += (0.5 - position.y) * 20 * gesturePull;
-            
-            this.targetPositions[i3] = tx;
-            this.targetPositions[i3 + 1] = ty;
-            this.targetPositions[i3 + 2] = tz;
+        this.applyInfluence(0, this.particleCount, openness, position, sensitivity);
+    }
+
+    setMultiHandMode(mode) {
+        // 'steer': left hand sets the force, right hand positions it
+        // 'split': each hand pushes or pulls its own half of the particles
+        this.multiHandMode = mode;
+    }
+
+    updateHandInfluences(hands, sensitivity = 1.0) {
+        // hands: [{ handedness, openness, position }], left hand first
+        if (hands.length < 2) {
+            const hand = hands[0] || { openness: this.gestureInfluence, position: this.gesturePosition };
+            this.updateGestureInfluence(hand.openness, hand.position, sensitivity);
+            return;
+        }
+
+        const [left, right] = hands;
+
+        if (this.multiHandMode === 'split') {
+            const half = Math.floor(this.particleCount / 2);
+            this.applyInfluence(0, half, left.openness, left.position, sensitivity);
+            this.applyInfluence(half, this.particleCount, right.openness, right.position, sensitivity);
+            this.gestureInfluence = (left.openness + right.openness) / 2;
+            this.gesturePosition = {
+                x: (left.position.x + right.position.x) / 2,
+                y: (left.position.y + right.position.y) / 2
+            };
+            return;
+        }
+
+        this.updateGestureInfluence(left.openness, right.position, sensitivity);
+    }
+
+    applyInfluence(start, end, openness, position, sensitivity) {
+        // The hand is a point force in the particles' local space: a fist attracts, an open hand repels.
+        // The range becomes hand slot 0 (from the start) or 1 (up to the end)
+        const slot = start === 0 ? 0 : 1;
+
+        // Placed on the view plane through the orbit target, so the hand covers the frame at any camera angle or zoom
+        const controls = this.cameraControls;
+        const viewScale = controls.radius * controls.handOffset.dolly / 50;
+        this.handPosition.set((position.x - 0.5) * 40 * viewScale, (0.5 - position.y) * 30 * viewScale, 0);
+        this.handPosition.applyQuaternion(this.camera.quaternion).add(controls.target);
+        if (this.particles) {
+            this.particles.worldToLocal(this.handPosition);
+        }
+
+        this.physics.setHand(slot, this.handPosition, openness, sensitivity);
+        if (slot === 0) {
+            this.physics.splitIndex = end;
         }
     }
 
+    releaseHands() {
+        this.physics.clearHands();
+    }
+
+    setSpringStiffness(stiffness) {
+        this.physics.stiffness = stiffness;
+    }
+
+    setDamping(damping) {
+        this.physics.damping = damping;
+    }
+
+    setMassVariation(variation) {
+        this.physics.massVariation = variation;
+    }
+
+    setHandStrength(strength) {
+        this.physics.handStrength = strength;
+    }
+
+    addForceField(field) {
+        return this.physics.addField(field);
+    }
+
+    removeForceField(field) {
+        this.physics.removeField(field);
+    }
+
+    clearForceFields() {
+        this.physics.clearFields();
+    }
+
     animate() {
         if (!this.isAnimating) return;
         
-        requestAnimationFrame(() => this.animate());
+        this.animationFrame = requestAnimationFrame(() => this.animate());
         
-        this.time += 0.016 * this.animationSpeed;
+        this.update(this.clock.tick(performance.now()));
+        this.render();
+    }
+
+    setClock(clock) {
+        this.clock = clock;
+    }
+
+    // Runs one clock frame ({ delta, steps, step, alpha }) without rendering
+    update(frame) {
+        // The camera keeps real time, independent of the animation speed, time scale and pause
+        this.cameraControls.update(frame.delta);
+        this.readAudio(frame.delta);
+        this.frameDelta = frame.delta;
         
-        if (this.particles) {
-            const positions = this.particles.geometry.attributes.position.array;
-            
-            // Smooth interpolation to target positions
-            for (let i = 0; i < this.particleCount; i++) {
-                const i3 = i * 3;
-                
-                // Lerp to target
-                const lerpFactor = 0.05 * this.animationSpeed;
-                positions[i3] += (this.targetPositions[i3] - positions[i3]) * lerpFactor;
-                positions[i3 + 1] += (this.targetPositions[i3 + 1] - positions[i3 + 1]) * lerpFactor;
-                positions[i3 + 2] += (this.targetPositions[i3 + 2] - positions[i3 + 2]) * lerpFactor;
-                
-                // Add subtle floating animation
-                const floatSpeed = 0.5 + (i / this.particleCount) * 0.5;
-                const floatAmount = 0.1 * this.animationSpeed;
-                positions[i3 + 1] += Math.sin(this.time * floatSpeed + i * 0.1) * floatAmount;
+        for (let i = 0; i < frame.steps; i++) {
+            this.simulate(frame.step);
+        }
+        
+        // Scale, twinkle, hue and bloom follow the music
+        this.updateAudio();
+        this.interpolate(frame.alpha);
+    }
+
+    // One fixed simulation step of stepTime seconds
+    simulate(stepTime) {
+        const delta = stepTime * this.animationSpeed;
+        this.time += delta;
+        
+        if (this.simulation) {
+            // The GPU eases the anchors itself, only the final ones are kept here
+            if (this.morph.advance(delta)) {
+                if (this.morph.isFinished()) {
+                    this.targetPositions.set(this.morph.to);
+                    this.morph.cancel();
+                    this.simulation.stopMorph();
+                } else {
+                    this.simulation.setMorphProgress(this.morph.progress);
+                }
             }
+        } else {
+            this.morph.update(delta, this.targetPositions);
+        }
+        
+        // The twinkle runs faster with the treble
+        const { amount, treble } = this.audioLevels;
+        this.twinkleTime += delta * (1 + amount * treble * 3);
+        
+        if (!this.particles) return;
+        
+        if (this.simulation) {
+            this.simulation.update(this.time, delta);
+        } else {
+            this.previousPositions.set(this.simPositions);
             
-            this.particles.geometry.attributes.position.needsUpdate = true;
-            
-            // Rotate entire particle system slowly
-            this.particles.rotation.y += 0.001 * this.animationSpeed;
-            
-            // Update shader uniforms
-            if (this.particles.material.uniforms) {
-                this.particles.material.uniforms.time.value = this.time;
-            }
+            // Springs, hand and force fields
+            this.physics.step(
+                this.simPositions,
+                this.velocities,
+                this.targetPositions,
+                this.massSeeds,
+                this.particleCount,
+                delta,
+                this.time
+            );
         }
         
-        this.renderer.render(this.scene, this.camera);
+        // Rotate entire particle system slowly
+        this.particles.rotation.y += 0.0625 * delta;
+    }
+
+    // Draws the particles alpha (0-1) of the way from the previous step to the latest,
+    // so motion stays smooth when display frames and steps don't line up
+    interpolate(alpha) {
+        if (!this.particles) return;
+        
+        if (this.simulation) {
+            const uniforms = this.particles.material.uniforms;
+            uniforms.positionTexture.value = this.simulation.getPositionTexture();
+            uniforms.previousPositionTexture.value = this.simulation.getPreviousPositionTexture();
+            uniforms.interpolation.value = alpha;
+        } else {
+            const positions = this.particles.geometry.attributes.position.array;
+            const previous = this.previousPositions;
+            const current = this.simPositions;
+            for (let i = 0; i < this.particleCount * 3; i++) {
+                positions[i] = previous[i] + (current[i] - previous[i]) * alpha;
+            }
+            this.particles.geometry.attributes.position.needsUpdate = true;
+        }
+    }
+
+    render() {
+        this.postProcessor.render(this.scene, this.camera, this.frameDelta);
+    }
+
+    // Offline rendering drives update() and render() itself while the loop is stopped
+    stopAnimation() {
+        this.isAnimating = false;
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+    }
+
+    startAnimation() {
+        if (this.isAnimating) return;
+        this.isAnimating = true;
+        this.clock.reset();
+        this.animate();
     }
 
     onWindowResize() {
+        // Offline renders set their own size and restore the window's afterwards
+        if (!this.isAnimating) return;
+
         const width = window.innerWidth;
         const height = window.innerHeight;
         
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(width, height);
+        this.postProcessor.setSize();
     }
 
     reset() {
         this.gestureInfluence = 0;
         this.gesturePosition = { x: 0.5, y: 0.5 };
         
-        for (let i = 0; i < this.particleCount * 3; i++) {
-            this.targetPositions[i] = this.originalPositions[i];
-        }
+        this.morph.cancel();
+        this.targetPositions.set(this.originalPositions);
+        this.syncAnchors();
+        this.physics.clearHands();
         
-        this.camera.position.set(0, 0, 50);
-        this.camera.lookAt(0, 0, 0);
+        this.cameraControls.reset();
         
         if (this.particles) {
             this.particles.rotation.set(0, 0, 0);
         }
+
+        this.postProcessor.clearTrails();
+    }
+
+    // Particles at rest on the current pattern and the clocks at zero, so the same
+    // sequence of steps always produces the same frames. The camera is left alone
+    restartSimulation() {
+        this.time = 0;
+        this.twinkleTime = 0;
+        this.gestureInfluence = 0;
+
+        this.morph.cancel();
+        this.targetPositions.set(this.originalPositions);
+        this.syncAnchors();
+        this.physics.clearHands();
+
+        if (this.simulation) {
+            this.simulation.resetPositions();
+        } else if (this.particles) {
+            this.simPositions.set(this.targetPositions);
+            this.previousPositions.set(this.targetPositions);
+            this.particles.geometry.attributes.position.array.set(this.targetPositions);
+            this.particles.geometry.attributes.position.needsUpdate = true;
+            this.velocities.fill(0);
+        }
+        if (this.particles) {
+            this.particles.rotation.set(0, 0, 0);
+        }
+
+        this.postProcessor.clearTrails();
     }
 
     takeScreenshot() {
+        this.render();
         return this.renderer.domElement.toDataURL('image/png');
     }
 
     dispose() {
-        this.isAnimating = false;
+        this.stopAnimation();
         
         if (this.particles) {
             this.scene.remove(this.particles);
             this.particles.geometry.dispose();
             this.particles.material.dispose();
         }
+        if (this.simulation) {
+            this.simulation.dispose();
+        }
         
+        this.cameraControls.dispose();
+        this.postProcessor.dispose();
         this.renderer.dispose();
         this.container.removeChild(this.renderer.domElement);
     }
 }
 
+// Pattern registry, filled by ParticleSystem.registerPattern()
+ParticleSystem.patterns = {};
+
 // Export for use in other modules
 window.ParticleSystem = ParticleSystem;
@@ -0,0 +1,224 @@
+/**
+ * Pattern Morph Module
+ * Timed, eased transitions of the spring anchors between patterns
+ */
+
+class PatternMorph {
+    constructor() {
+        this.duration = 1.5; // Seconds of animation time, 0 switches instantly
+        this.easing = 'easeInOut';
+        this.assignment = 'nearest'; // 'index', 'nearest', 'random' or 'stagger'
+        this.staggerAmount = 0.6; // Share of the duration spread across particle start times
+
+        // GPUSimulation's shader has the same easings, in this order
+        this.easings = {
+            linear: (t) => t,
+            easeIn: (t) => t * t * t,
+            easeOut: (t) => 1 - Math.pow(1 - t, 3),
+            easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+            backOut: (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+            elastic: (t) => (t === 0 || t === 1 ? t : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI / 3)) + 1)
+        };
+
+        this.from = null;
+        this.to = null;
+        this.delays = null; // Per-particle start offsets for the stagger strategy
+        this.order = null; // Assignment from the last start(), kept after the morph ends
+        this.count = 0;
+        this.elapsed = 0;
+        this.progress = 0; // 0-1 through the morph, before easing and stagger
+        this.isActive = false;
+    }
+
+    // Returns the new pattern reordered so particle i ends at result[i]. keepOrder reuses the
+    // last assignment, for a new layout of the same pattern
+    start(from, to, count, keepOrder = false) {
+        this.count = count;
+        this.from = Float32Array.from(from.subarray(0, count * 3));
+        this.to = keepOrder ? this.reassign(to, count) : this.assign(this.from, to, count);
+        this.elapsed = 0;
+        this.progress = 0;
+        this.isActive = this.duration > 0;
+        this.delays = this.isActive && this.assignment === 'stagger' ? this.getDelays(this.to, count) : null;
+        return this.to;
+    }
+
+    // The last assignment, or particle i to point i when there is none for this count
+    reassign(to, count) {
+        if (!this.order || this.order.length !== count) {
+            this.resetOrder(count);
+        }
+        return PatternMorph.reorder(to, this.order, 3);
+    }
+
+    // Particles laid out afresh sit in pattern order
+    resetOrder(count) {
+        this.order = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            this.order[i] = i;
+        }
+    }
+
+    assign(from, to, count) {
+        // order[i] is the index in the new pattern that particle i travels to
+        const order = new Uint32Array(count);
+
+        switch (this.assignment) {
+            case 'nearest':
+            case 'stagger': {
+                // Match particles and targets by rank along a space-filling curve, so neighbours stay together
+                const fromOrder = this.getSpatialOrder(from, count);
+                const toOrder = this.getSpatialOrder(to, count);
+                for (let k = 0; k < count; k++) {
+                    order[fromOrder[k]] = toOrder[k];
+                }
+                break;
+            }
+
+            case 'random':
+                for (let i = 0; i < count; i++) {
+                    order[i] = i;
+                }
+                for (let i = count - 1; i > 0; i--) {
+                    const j = Math.floor(Math.random() * (i + 1));
+                    const swap = order[i];
+                    order[i] = order[j];
+                    order[j] = swap;
+                }
+                break;
+
+            default:
+                for (let i = 0; i < count; i++) {
+                    order[i] = i;
+                }
+        }
+
+        this.order = order;
+        return PatternMorph.reorder(to, order, 3);
+    }
+
+    // Gathers per-particle values (size floats each) into the assignment order
+    static reorder(values, order, size) {
+        const result = new Float32Array(order.length * size);
+        for (let i = 0; i < order.length; i++) {
+            for (let c = 0; c < size; c++) {
+                result[i * size + c] = values[order[i] * size + c];
+            }
+        }
+        return result;
+    }
+
+    // Indices sorted by Morton (Z-order) code within the set's own bounding box
+    getSpatialOrder(positions, count) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < count * 3; i++) {
+            const axis = i % 3;
+            min[axis] = Math.min(min[axis], positions[i]);
+            max[axis] = Math.max(max[axis], positions[i]);
+        }
+
+        const spread = (v) => {
+            v = (v | (v << 16)) & 0x030000FF;
+            v = (v | (v << 8)) & 0x0300F00F;
+            v = (v | (v << 4)) & 0x030C30C3;
+            v = (v | (v << 2)) & 0x09249249;
+            return v;
+        };
+        const quantize = (value, axis) => {
+            const range = max[axis] - min[axis] || 1;
+            return Math.min(1023, Math.floor((value - min[axis]) / range * 1024));
+        };
+
+        // Code and index packed into one double so the native numeric sort does the work
+        const indexBits = 2097152; // 2^21, above the particle limit
+        const keys = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            const code = spread(quantize(positions[i * 3], 0))
+                | (spread(quantize(positions[i * 3 + 1], 1)) << 1)
+                | (spread(quantize(positions[i * 3 + 2], 2)) << 2);
+            keys[i] = code * indexBits + i;
+        }
+        keys.sort();
+
+        const order = new Uint32Array(count);
+        for (let k = 0; k < count; k++) {
+            order[k] = keys[k] % indexBits;
+        }
+        return order;
+    }
+
+    getDelays(positions, count) {
+        // Closest to the centre starts first, so the new shape grows outwards
+        const delays = new Float32Array(count);
+        let maxDistance = 0;
+        for (let i = 0; i < count; i++) {
+            delays[i] = Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+            maxDistance = Math.max(maxDistance, delays[i]);
+        }
+        for (let i = 0; i < count; i++) {
+            delays[i] = maxDistance > 0 ? delays[i] / maxDistance * this.staggerAmount : 0;
+        }
+        return delays;
+    }
+
+    // Moves the clock on by delta, returns false when no morph is running
+    advance(delta) {
+        if (!this.isActive) return false;
+
+        this.elapsed += delta;
+        this.progress = Math.min(this.elapsed / this.duration, 1);
+        return true;
+    }
+
+    isFinished() {
+        return this.progress >= 1;
+    }
+
+    // Share of the duration each particle spends moving
+    getSpan() {
+        return this.delays ? 1 - this.staggerAmount : 1;
+    }
+
+    // Index of the easing, as the GPU simulation's shader numbers them
+    getEasingIndex() {
+        return Math.max(0, Object.keys(this.easings).indexOf(this.easing));
+    }
+
+    // Writes the eased anchors into out, returns false once the morph has finished
+    update(delta, out) {
+        if (!this.advance(delta)) return false;
+
+        this.write(out);
+        if (this.isFinished()) {
+            this.cancel();
+        }
+        return true;
+    }
+
+    // The anchors at the current progress
+    write(out) {
+        const progress = this.progress;
+        const ease = this.easings[this.easing] || this.easings.linear;
+        const span = this.getSpan();
+
+        for (let i = 0; i < this.count; i++) {
+            const local = this.delays ? (progress - this.delays[i]) / span : progress;
+            const t = ease(Math.max(0, Math.min(1, local)));
+            const i3 = i * 3;
+            out[i3] = this.from[i3] + (this.to[i3] - this.from[i3]) * t;
+            out[i3 + 1] = this.from[i3 + 1] + (this.to[i3 + 1] - this.from[i3 + 1]) * t;
+            out[i3 + 2] = this.from[i3 + 2] + (this.to[i3 + 2] - this.from[i3 + 2]) * t;
+        }
+    }
+
+    cancel() {
+        this.isActive = false;
+        this.from = null;
+        this.to = null;
+        this.delays = null;
+    }
+}
+
+// Export for use in other modules
+window.PatternMorph = PatternMorph;
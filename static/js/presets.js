@@ -0,0 +1,205 @@
+/**
+ * Presets Module
+ * Named scene presets in localStorage, JSON export/import and URL hash encoding
+ */
+
+class PresetManager {
+    constructor() {
+        this.storageKey = 'gestureParticles.presets';
+        this.hashKey = 'state';
+        this.presets = {}; // Scene states by preset name
+
+        // Callbacks
+        this.onChange = null;
+    }
+
+    getNames() {
+        return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+    }
+
+    get(name) {
+        return this.presets[name] || null;
+    }
+
+    savePreset(name, state) {
+        this.presets[name] = state;
+        this.save();
+        this.notify();
+    }
+
+    deletePreset(name) {
+        delete this.presets[name];
+        this.save();
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.getNames());
+        }
+    }
+
+    static isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // States come from links, files and storage, so the camera and pattern parameters are
+    // checked against what they may hold and anything else is dropped
+    validate(state) {
+        if (!PresetManager.isObject(state) || !PresetManager.isObject(state.settings)) {
+            throw new Error('Invalid preset');
+        }
+        return {
+            ...state,
+            camera: this.validateCamera(state.camera),
+            patternParams: this.validatePatternParams(state.patternParams)
+        };
+    }
+
+    validateCamera(camera) {
+        if (!PresetManager.isObject(camera)) return null;
+
+        const result = {};
+        for (const key of ['radius', 'theta', 'phi', 'autoOrbitSpeed']) {
+            if (Number.isFinite(camera[key])) {
+                result[key] = camera[key];
+            }
+        }
+        if (Array.isArray(camera.target) && camera.target.length === 3 && camera.target.every(Number.isFinite)) {
+            result.target = camera.target.slice();
+        }
+        if ('autoOrbit' in camera) {
+            result.autoOrbit = !!camera.autoOrbit;
+        }
+        return result;
+    }
+
+    // Against each pattern's parameter schema, file parameters are never saved
+    validatePatternParams(patternParams) {
+        const result = {};
+        if (!PresetManager.isObject(patternParams)) return result;
+
+        for (const pattern of Object.keys(patternParams)) {
+            const entry = ParticleSystem.patterns[pattern];
+            const values = patternParams[pattern];
+            if (!entry || !PresetManager.isObject(values)) continue;
+
+            const params = {};
+            for (const key of Object.keys(values)) {
+                const info = entry.params[key];
+                const value = values[key];
+                if (!info) continue;
+
+                switch (info.type) {
+                    case 'int':
+                    case 'float':
+                        if (Number.isFinite(value)) {
+                            params[key] = value;
+                        }
+                        break;
+                    case 'select':
+                        if (info.options.some(option => (PresetManager.isObject(option) ? option.value : option) === value)) {
+                            params[key] = value;
+                        }
+                        break;
+                    case 'boolean':
+                        params[key] = !!value;
+                        break;
+                    case 'string':
+                        params[key] = String(value);
+                        break;
+                }
+            }
+            result[pattern] = params;
+        }
+        return result;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+        } catch (err) {
+            console.error('Could not save presets:', err);
+        }
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            this.presets = {};
+            if (PresetManager.isObject(stored)) {
+                // A preset that doesn't validate is left out rather than failing the rest
+                for (const name of Object.keys(stored)) {
+                    try {
+                        this.presets[name] = this.validate(stored[name]);
+                    } catch (err) {
+                        console.error(`Could not load preset "${name}":`, err);
+                    }
+                }
+            }
+        } catch (err) {
+            console.error('Could not load presets:', err);
+        }
+        this.notify();
+    }
+
+    exportPreset(name, state) {
+        const json = JSON.stringify({ name: name, ...state }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gesture-preset-${name.replace(/[^\w-]+/g, '_') || Date.now()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // Adds the file's preset under its stored name (or the file name), then hands it to onLoad
+    importPreset(file, onLoad) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const { name, ...state } = this.validate(JSON.parse(reader.result));
+                const presetName = name || file.name.replace(/\.json$/i, '');
+                this.savePreset(presetName, state);
+                onLoad(presetName, state);
+            } catch (err) {
+                console.error('Preset import error:', err);
+                alert('Could not import preset: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // State as URL-safe base64 of its JSON
+    encodeHash(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `${this.hashKey}=${encoded}`;
+    }
+
+    // Returns null when the hash holds no (valid) state
+    decodeHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const encoded = params.get(this.hashKey);
+        if (!encoded) return null;
+
+        try {
+            const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            return this.validate(JSON.parse(new TextDecoder().decode(bytes)));
+        } catch (err) {
+            console.error('Could not read state from the URL:', err);
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+window.PresetManager = PresetManager;
@@ -0,0 +1,192 @@
+/**
+ * Raster Patterns Module
+ * Text and image patterns sampled from the opaque pixels of an offscreen canvas
+ */
+
+class RasterSampler {
+    constructor(resolution = 512) {
+        this.resolution = resolution; // Longest side of the rasterized shape, in pixels
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        // Last raster, reused while only size/depth sliders change
+        this.cacheKey = null;
+        this.cacheSource = null;
+        this.cache = null;
+    }
+
+    rasterizeText(text, font, weight) {
+        const key = `${text}|${font}|${weight}`;
+        if (this.cacheKey === key && this.cacheSource === null) return this.cache;
+
+        const fontSize = Math.round(this.resolution * 0.4);
+        const fontString = `${weight} ${fontSize}px ${font}`;
+        this.context.font = fontString;
+        const width = Math.max(Math.ceil(this.context.measureText(text).width), 1) + fontSize;
+        const height = Math.ceil(fontSize * 1.6);
+
+        // Resizing the canvas resets its state, so the font is set again afterwards
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.context.font = fontString;
+        this.context.textAlign = 'center';
+        this.context.textBaseline = 'middle';
+        this.context.fillStyle = '#ffffff';
+        this.context.fillText(text, width / 2, height / 2);
+
+        this.cache = this.collect();
+        this.cacheKey = key;
+        this.cacheSource = null;
+        return this.cache;
+    }
+
+    rasterizeImage(image) {
+        if (this.cacheSource === image) return this.cache;
+
+        // SVGs without an intrinsic size report 0, draw them at full resolution
+        const sourceWidth = image.naturalWidth || image.width || this.resolution;
+        const sourceHeight = image.naturalHeight || image.height || this.resolution;
+        const scale = this.resolution / Math.max(sourceWidth, sourceHeight);
+
+        this.canvas.width = Math.max(Math.round(sourceWidth * scale), 1);
+        this.canvas.height = Math.max(Math.round(sourceHeight * scale), 1);
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.context.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+
+        this.cache = this.collect();
+        this.cacheKey = null;
+        this.cacheSource = image;
+        return this.cache;
+    }
+
+    // Indices of the opaque pixels and their bounding box
+    collect() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const data = this.context.getImageData(0, 0, width, height).data;
+
+        const points = [];
+        let minX = width;
+        let minY = height;
+        let maxX = 0;
+        let maxY = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] < 128) continue;
+                points.push(y * width + x);
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x + 1);
+                maxY = Math.max(maxY, y + 1);
+            }
+        }
+
+        return {
+            width: width,
+            data: data,
+            points: Uint32Array.from(points),
+            bounds: { minX: minX, minY: minY, maxX: maxX, maxY: maxY }
+        };
+    }
+
+    // Positions (and optionally colors) spread over the raster, longest side 2 * radius * size
+    sample(raster, count, random, options) {
+        const positions = new Float32Array(count * 3);
+        const colors = options.colors ? new Float32Array(count * 3) : null;
+
+        // Nothing opaque, e.g. an empty string: gather the particles at the centre
+        if (raster.points.length === 0) {
+            for (let i = 0; i < count * 3; i++) {
+                positions[i] = (random() - 0.5) * 0.5;
+            }
+            return { positions: positions, colors: colors };
+        }
+
+        const bounds = raster.bounds;
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+        const scale = (2 * options.radius * options.size) / Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+
+        for (let i = 0; i < count; i++) {
+            const pixel = raster.points[Math.floor(random() * raster.points.length)];
+            const x = pixel % raster.width;
+            const y = Math.floor(pixel / raster.width);
+
+            const i3 = i * 3;
+            positions[i3] = (x + random() - centerX) * scale;
+            positions[i3 + 1] = (centerY - y - random()) * scale;
+            positions[i3 + 2] = (random() - 0.5) * options.depth;
+
+            if (colors) {
+                colors[i3] = raster.data[pixel * 4] / 255;
+                colors[i3 + 1] = raster.data[pixel * 4 + 1] / 255;
+                colors[i3 + 2] = raster.data[pixel * 4 + 2] / 255;
+            }
+        }
+
+        return { positions: positions, colors: colors };
+    }
+}
+
+// Export for use in other modules
+window.RasterSampler = RasterSampler;
+
+(function () {
+    const sampler = new RasterSampler();
+    const radius = 15;
+
+    const size = { type: 'float', label: 'Size', min: 0.2, max: 2, step: 0.05, default: 1 };
+    const depth = { type: 'float', label: 'Depth', min: 0, max: 10, step: 0.5, default: 2 };
+
+    ParticleSystem.registerPattern('text', (count, random, params) => {
+        const raster = sampler.rasterizeText(params.text, params.font, params.weight);
+        return sampler.sample(raster, count, random, { radius: radius, size: params.size, depth: params.depth });
+    }, {
+        label: 'Text',
+        icon: 'Aa',
+        params: {
+            text: { type: 'string', label: 'Text', default: 'Hello' },
+            font: {
+                type: 'select',
+                label: 'Font',
+                default: 'sans-serif',
+                options: ['sans-serif', 'serif', 'monospace', 'cursive', 'fantasy']
+            },
+            weight: {
+                type: 'select',
+                label: 'Weight',
+                default: '700',
+                options: [
+                    { value: '300', label: 'Light' },
+                    { value: '400', label: 'Regular' },
+                    { value: '700', label: 'Bold' },
+                    { value: '900', label: 'Black' }
+                ]
+            },
+            size: size,
+            depth: depth
+        }
+    });
+
+    ParticleSystem.registerPattern('image', (count, random, params) => {
+        // Until an image is loaded the pattern spells out a hint
+        const raster = params.image
+            ? sampler.rasterizeImage(params.image)
+            : sampler.rasterizeText('Load an image', 'sans-serif', '700');
+        return sampler.sample(raster, count, random, {
+            radius: radius,
+            size: params.size,
+            depth: params.depth,
+            colors: params.image && params.imageColors
+        });
+    }, {
+        label: 'Image',
+        icon: '🖼️',
+        params: {
+            image: { type: 'file', label: 'Image', accept: 'image/png,image/svg+xml,image/*', default: null },
+            imageColors: { type: 'boolean', label: 'Image Colors', default: true },
+            size: size,
+            depth: depth
+        }
+    });
+})();
@@ -0,0 +1,204 @@
+/**
+ * Video Recorder Module
+ * WebM capture of the particle canvas via MediaRecorder, with a hand-tracking picture-in-picture
+ */
+
+class VideoRecorder {
+    constructor(sourceCanvas) {
+        this.source = sourceCanvas;
+
+        // Frames are composited here, so the output size and overlay don't depend on the window
+        this.canvas = document.createElement('canvas');
+        this.context = this.canvas.getContext('2d');
+
+        this.options = {
+            resolution: 'window', // 'window' or an output height such as '720'
+            frameRate: 30,
+            bitrate: 8, // Mbps
+            countdown: 3, // Seconds before recording starts
+            overlay: true
+        };
+        this.overlaySources = []; // Drawn in order into the picture-in-picture corner
+
+        this.recorder = null;
+        this.chunks = [];
+        this.mimeType = null;
+        this.animationFrame = null;
+        this.countdownTimer = null;
+        this.startTime = 0;
+        this.isRecording = false;
+        this.isCountingDown = false;
+
+        // Callbacks
+        this.onCountdown = null; // (secondsLeft)
+        this.onStart = null;
+        this.onStop = null; // (blob, mimeType)
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    static getMimeType() {
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    setOverlaySources(sources) {
+        this.overlaySources = sources;
+    }
+
+    getSize() {
+        const width = this.source.width;
+        const height = this.source.height;
+        if (this.options.resolution === 'window') {
+            return { width: width, height: height };
+        }
+
+        // Fixed height at the window's aspect ratio, even sizes for the encoder
+        const outputHeight = parseInt(this.options.resolution, 10);
+        const outputWidth = Math.round(outputHeight * width / height);
+        return { width: outputWidth + (outputWidth % 2), height: outputHeight };
+    }
+
+    // Counts down, then records until stop()
+    start() {
+        if (this.isRecording || this.isCountingDown) return;
+
+        let remaining = Math.max(0, Math.round(this.options.countdown));
+        if (remaining === 0) {
+            this.startRecording();
+            return;
+        }
+
+        this.isCountingDown = true;
+        if (this.onCountdown) this.onCountdown(remaining);
+        this.countdownTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                if (this.onCountdown) this.onCountdown(remaining);
+                return;
+            }
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+            this.isCountingDown = false;
+            if (this.onCountdown) this.onCountdown(0);
+            this.startRecording();
+        }, 1000);
+    }
+
+    startRecording() {
+        const size = this.getSize();
+        this.canvas.width = size.width;
+        this.canvas.height = size.height;
+        this.drawFrame();
+
+        this.mimeType = VideoRecorder.getMimeType();
+        const stream = this.canvas.captureStream(this.options.frameRate);
+        this.recorder = new MediaRecorder(stream, {
+            mimeType: this.mimeType || undefined,
+            videoBitsPerSecond: this.options.bitrate * 1000000
+        });
+
+        this.chunks = [];
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) {
+                this.chunks.push(e.data);
+            }
+        };
+        this.recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            const blob = new Blob(this.chunks, { type: this.mimeType || 'video/webm' });
+            this.chunks = [];
+            if (this.onStop) this.onStop(blob, this.mimeType);
+        };
+
+        // Timeslice so a long take isn't held in one buffer
+        this.recorder.start(1000);
+        this.isRecording = true;
+        this.startTime = performance.now();
+        this.tick();
+        if (this.onStart) this.onStart();
+    }
+
+    tick() {
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+        this.drawFrame();
+    }
+
+    drawFrame() {
+        const ctx = this.context;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        // The WebGL canvas is transparent over the page background
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(this.source, 0, 0, width, height);
+
+        if (this.options.overlay) {
+            this.drawOverlay(ctx, width, height);
+        }
+    }
+
+    drawOverlay(ctx, width, height) {
+        // Videos need a decoded frame, canvases just a size
+        const sources = this.overlaySources.filter(source => {
+            const hasFrame = source.readyState === undefined || source.readyState >= 2;
+            return hasFrame && (source.videoWidth || source.width) > 0;
+        });
+        if (sources.length === 0) return;
+
+        // Bottom-left corner like the on-screen preview, mirrored the same way
+        const first = sources[0];
+        const aspect = (first.videoWidth || first.width) / (first.videoHeight || first.height);
+        const pipHeight = Math.round(height * 0.25);
+        const pipWidth = Math.round(pipHeight * aspect);
+        const margin = Math.round(height * 0.03);
+        const x = margin;
+        const y = height - pipHeight - margin;
+
+        ctx.save();
+        ctx.translate(x + pipWidth, y);
+        ctx.scale(-1, 1);
+        sources.forEach(source => ctx.drawImage(source, 0, 0, pipWidth, pipHeight));
+        ctx.restore();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = Math.max(1, Math.round(height / 360));
+        ctx.strokeRect(x, y, pipWidth, pipHeight);
+    }
+
+    getElapsed() {
+        return this.isRecording ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+
+    stop() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+            this.isCountingDown = false;
+            if (this.onCountdown) this.onCountdown(0);
+        }
+        if (!this.isRecording) return;
+
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        this.isRecording = false;
+        this.recorder.stop();
+        this.recorder = null;
+    }
+
+    dispose() {
+        this.onStop = null;
+        this.stop();
+    }
+}
+
+// Export for use in other modules
+window.VideoRecorder = VideoRecorder;
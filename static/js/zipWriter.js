@@ -0,0 +1,111 @@
+/**
+ * Zip Writer Module
+ * Uncompressed (stored) ZIP archives built from blobs, for frame sequences
+ */
+
+class ZipWriter {
+    constructor() {
+        this.parts = []; // Local headers and file data, in archive order
+        this.entries = []; // Central directory records
+        this.offset = 0;
+
+        // DOS date and time of creation, shared by every entry
+        const now = new Date();
+        this.dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this.dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    static getCrcTable() {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+        return ZipWriter.crcTable;
+    }
+
+    static crc32(bytes) {
+        const table = ZipWriter.getCrcTable();
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // PNG and WebM are already compressed, so entries are stored as they are
+    async addFile(name, blob) {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = ZipWriter.crc32(data);
+
+        // Without ZIP64 records, counts must fit in 16 bits and offsets and sizes in 32
+        if (this.entries.length >= 0xffff) {
+            throw new Error('Archive has too many files');
+        }
+        if (this.offset + 30 + nameBytes.length + data.length > 0xffffffff) {
+            throw new Error('Archive is larger than 4 GB');
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed
+        header.setUint16(6, 0x0800, true); // UTF-8 names
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, this.dosTime, true);
+        header.setUint16(12, this.dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.parts.push(header.buffer, nameBytes, blob);
+        this.entries.push({ nameBytes: nameBytes, crc: crc, size: data.length, offset: this.offset });
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    toBlob() {
+        const directory = [];
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true); // Central directory signature
+            record.setUint16(4, 20, true); // Version made by
+            record.setUint16(6, 20, true); // Version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, this.dosTime, true);
+            record.setUint16(14, this.dosDate, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            // Extra field, comment, disk number and attributes stay zero
+            record.setUint32(42, entry.offset, true);
+
+            directory.push(record.buffer, entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...directory, end.buffer], { type: 'application/zip' });
+    }
+}
+
+ZipWriter.crcTable = null;
+
+// Export for use in other modules
+window.ZipWriter = ZipWriter;